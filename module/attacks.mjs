@@ -0,0 +1,218 @@
+// ===============================
+// Role&Roll attacks – weapon pool vs target, damage & Apply buttons
+// ===============================
+// A weapon rolls its linked check (system.check) plus its own special dice
+// (system.special, e.g. "a1") against the targeted token. The roll card gets
+// an attack block:
+//   damage = final total + weapon damage − target defense (never below 0),
+//   and a final total of 0 is a miss.
+// "Apply damage" lowers the target's hpCurrent. Players who do not own the
+// target ask the GM over the socket (see socket.mjs); the GM works the damage
+// out again from the weapon item and the target's current defense.
+
+import { SYSTEM_ID, systemPath, handlebars } from "./config.mjs";
+import { getRollData, canControlRoll } from "./roll-card.mjs";
+import { rollRolenrollPool } from "./roll-pool.mjs";
+import { checkFromString, checkPool } from "./checks.mjs";
+import { buildDiceFromTray, parseSpecialTokens } from "./pool-input.mjs";
+import { ladderIdForCheck } from "./ladders.mjs";
+import { registerSocketHandler, requestGM } from "./socket.mjs";
+import { gatherModifiers, applyModifiers } from "./modifiers.mjs";
+
+export const ATTACK_BLOCK_TEMPLATE = systemPath("templates/attack-block.hbs");
+
+// ----------------------------------------
+// Flag data
+// ----------------------------------------
+// message.flags.rolenroll_test.attack (next to the roll):
+// {
+//   itemUuid, itemName, damage,          (weapon)
+//   targetUuid, targetName, defense,     (target actor, defense when rolled)
+//   applied: number | null               (damage applied, once; locks the card)
+// }
+
+export function getAttackData(message) {
+  return message?.getFlag?.(SYSTEM_ID, "attack") ?? null;
+}
+
+// Defense of an actor: its own value (after active effects) plus equipped armor
+export function actorDefense(actor) {
+  const armor = (actor?.items ?? [])
+    .filter(item => item.type === "armor" && item.system.equipped)
+    .reduce((sum, item) => sum + (Number(item.system.defense) || 0), 0);
+  return (Number(actor?.system?.defense) || 0) + armor;
+}
+
+export function attackDamage(finalTotal, damage, defense) {
+  if (finalTotal <= 0) return 0;
+  return Math.max(0, finalTotal + damage - defense);
+}
+
+// ----------------------------------------
+// Rolling
+// ----------------------------------------
+
+// Internal: first targeted token → { actor, name }
+function _target() {
+  const token = game.user.targets.first();
+  return token?.actor ? { actor: token.actor, name: token.name } : null;
+}
+
+// Roll a weapon of an actor against the user's target (if any).
+// Modifiers tagged "attack" apply, as do the weapon's own ones.
+export async function rollAttack(actor, item, { target = _target() } = {}) {
+  if (!actor || item?.type !== "weapon") {
+    ui.notifications.warn("Role&Roll: Pick a weapon to attack with.");
+    return null;
+  }
+
+  const check = checkFromString(item.system.check);
+  const pool = check ? checkPool(actor, check) : { baseDice: 0, baseSuccess: 0 };
+  const total = pool.baseDice + parseSpecialTokens(item.system.special, () => {}).length;
+  if (total <= 0) {
+    ui.notifications.warn(`Role&Roll: ${item.name} has 0 dice to attack with.`);
+    return null;
+  }
+
+  const dice = buildDiceFromTray(total, item.system.special);
+  if (!dice) return null;
+
+  const modifiers = gatherModifiers(actor, check, { tags: ["attack"], item });
+  const modified = applyModifiers({ dice, bonusSuccess: pool.baseSuccess }, modifiers);
+
+  return rollRolenrollPool({
+    actor,
+    dice: modified.dice,
+    bonusSuccess: modified.bonusSuccess,
+    bonusPenalty: modified.bonusPenalty,
+    ladder: check ? ladderIdForCheck(check) : undefined,
+    modifiers: modified.modifiers,
+    flags: {
+      attack: {
+        itemUuid: item.uuid,
+        itemName: item.name,
+        damage: Number(item.system.damage) || 0,
+        targetUuid: target?.actor.uuid ?? null,
+        targetName: target?.name ?? null,
+        defense: target ? actorDefense(target.actor) : 0,
+        applied: null
+      }
+    }
+  });
+}
+
+// ----------------------------------------
+// Applying damage
+// ----------------------------------------
+
+// Apply buttons: full or half damage
+const DAMAGE_MULTIPLIERS = [1, 0.5];
+
+// cards being applied right now, so a double click is not applied twice
+const _applying = new Set();
+
+// Internal: lower the target's HP and note it on the card (run by an owner
+// or the GM). The card's damage and defense are only for display: the weapon
+// must still be an item of the rolling actor and both values are read again
+// from it and the live target. A request is refused unless the user may
+// control the roll, the roll is final and the damage has not been applied yet.
+async function _applyDamage({ messageId, multiplier }, userId) {
+  const message = game.messages.get(messageId);
+  const user = game.users.get(userId);
+  const attack = getAttackData(message);
+  const roll = getRollData(message);
+  if (!attack?.targetUuid || roll?.status !== "final") return;
+  if (!user || !canControlRoll(message, user)) return;
+  if (!DAMAGE_MULTIPLIERS.includes(multiplier)) return;
+  if (attack.applied !== null && attack.applied !== undefined) return;
+  if (_applying.has(messageId)) return;
+
+  const actor = fromUuidSync(attack.targetUuid);
+  if (actor?.documentName !== "Actor") return;
+
+  const item = attack.itemUuid ? fromUuidSync(attack.itemUuid) : null;
+  if (item?.type !== "weapon" || !roll.actorUuid || item.parent?.uuid !== roll.actorUuid) return;
+
+  _applying.add(messageId);
+  try {
+    const damage = attackDamage(
+      roll.scoring?.finalTotal ?? 0,
+      Number(item.system.damage) || 0,
+      actorDefense(actor)
+    );
+    const amount = Math.floor(damage * multiplier);
+
+    const hp = Number(actor.system.hpCurrent) || 0;
+    await actor.update({ "system.hpCurrent": Math.max(0, hp - amount) });
+    await message.setFlag(SYSTEM_ID, "attack.applied", amount);
+  } finally {
+    _applying.delete(messageId);
+  }
+}
+
+registerSocketHandler("applyDamage", _applyDamage);
+
+// Apply an attack card's damage (multiplier 0.5 for half) to its target, once
+export async function applyAttackDamage(message, multiplier = 1) {
+  const attack = getAttackData(message);
+  const roll = getRollData(message);
+  if (!attack?.targetUuid || roll?.status !== "final") return null;
+
+  if (attack.applied !== null && attack.applied !== undefined) {
+    ui.notifications.warn("Role&Roll: This attack's damage was already applied.");
+    return null;
+  }
+
+  const target = fromUuidSync(attack.targetUuid);
+  if (!target) {
+    ui.notifications.warn(`Role&Roll: ${attack.targetName ?? "The target"} no longer exists.`);
+    return null;
+  }
+
+  const data = { messageId: message.id, multiplier };
+
+  // owners (and the GM) apply it themselves, everyone else asks the GM
+  if (target.isOwner && message.isOwner) return _applyDamage(data, game.user.id);
+  return requestGM("applyDamage", data);
+}
+
+// ----------------------------------------
+// Rendering
+// ----------------------------------------
+
+function attackBlockContext(attack, roll) {
+  const finished = roll.status !== "pending";
+  const total = roll.scoring?.finalTotal ?? 0;
+  const damage = attackDamage(total, attack.damage, attack.defense);
+
+  return {
+    ...attack,
+    finished,
+    hasTarget: !!attack.targetUuid,
+    hit: total > 0,
+    total,
+    damageTotal: damage,
+    halfDamage: Math.floor(damage / 2),
+    hasApplied: attack.applied !== null && attack.applied !== undefined
+  };
+}
+
+// renderChatMessage: add the attack block under the roll card.
+// Apply buttons are for the GM and the roller, once the roll is final,
+// until the damage has been applied.
+export async function onRenderAttackMessage(message, html) {
+  const attack = getAttackData(message);
+  const roll = getRollData(message);
+  if (!attack || !roll) return;
+
+  const block = $(await handlebars.renderTemplate(ATTACK_BLOCK_TEMPLATE, attackBlockContext(attack, roll)));
+  html.find(".message-content").append(block);
+
+  if (!canControlRoll(message)) block.find(".rr-attack-buttons").remove();
+
+  block.find("[data-action='rr-apply-damage']").on("click", (ev) => {
+    ev.preventDefault();
+    block.find("button").prop("disabled", true);
+    applyAttackDamage(message, Number(ev.currentTarget.dataset.multiplier) || 1);
+  });
+}
@@ -0,0 +1,198 @@
+// ===============================
+// Role&Roll chat command: /rr
+// ===============================
+// /rr                     → 5 normal dice
+// /rr 4 a1 n2 +2 -1       → 4 dice (2 normal, a1, n2), success +2, penalty 1
+// /rr str                 → roll the speaker's Strength
+// /rr art a2 s1 p1        → Art (skill + best of DEX/INT), one a2 die, +1 success, +1 penalty
+// /rr occultlore          → the speaker's custom skill "Occult Lore"
+// /rr 6 a1 vs 3 [hidden]  → difficulty 3 (hidden: only the GM sees it)
+// /rr art ladder=combat   → read the total on the "combat" outcome ladder (ladder=none: no tier)
+// /rr help                → whispered help card
+
+import { systemPath, handlebars } from "./config.mjs";
+import { buildDiceFromTray, parseDifficulty } from "./pool-input.mjs";
+import { findCheck, checkPool } from "./checks.mjs";
+import { gatherModifiers, applyModifiers } from "./modifiers.mjs";
+import { resolveRollActor } from "./speaker.mjs";
+import { findLadder, ladderIdForCheck } from "./ladders.mjs";
+
+export const RR_HELP_TEMPLATE = systemPath("templates/rr-help-card.hbs");
+
+// ----------------------------------------
+// Parsing
+// ----------------------------------------
+
+// Parse the arguments after "/rr". Never shows notifications:
+// problems are collected in `errors` so they can go on the help card.
+// Returns { help, total, specials, check, success, penalty, difficulty, hiddenDifficulty, ladder, errors }
+export function parseRrCommand(content) {
+  const args = String(content ?? "").trim().split(/\s+/).slice(1);
+
+  const parsed = {
+    help: false,
+    total: null,
+    specials: [],
+    checkName: null,
+    check: null,
+    success: 0,
+    penalty: 0,
+    difficulty: null,
+    hiddenDifficulty: false,
+    ladder: undefined,
+    errors: []
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (/^(help|\?)$/i.test(arg)) {
+      parsed.help = true;
+      continue;
+    }
+
+    if (/^vs$/i.test(arg)) {
+      parsed.difficulty = parseDifficulty(args[i + 1]);
+      if (parsed.difficulty === null) {
+        parsed.errors.push(`"vs" must be followed by a difficulty, e.g. /rr 6 vs 3.`);
+      }
+      i++;
+      continue;
+    }
+
+    if (/^hidden$/i.test(arg)) {
+      parsed.hiddenDifficulty = true;
+      continue;
+    }
+
+    // ladder=<id or name> / ladder:<id or name>
+    const ladderMatch = arg.match(/^ladder[=:](.*)$/i);
+    if (ladderMatch) {
+      parsed.ladder = findLadder(ladderMatch[1]) ?? undefined;
+      if (parsed.ladder === undefined) parsed.errors.push(`Unknown outcome ladder "${ladderMatch[1]}".`);
+      continue;
+    }
+
+    if (/^\d+$/.test(arg)) {
+      if (parsed.total === null) parsed.total = parseInt(arg, 10);
+      else parsed.errors.push(`Only one dice count is allowed ("${arg}").`);
+      continue;
+    }
+
+    // aX / nX special dice, X = 1..4
+    if (/^[an]\d+$/i.test(arg)) {
+      const count = parseInt(arg.slice(1), 10);
+      if (count < 1 || count > 4) parsed.errors.push(`"${arg}": special dice have 1 to 4 +/- faces.`);
+      else parsed.specials.push(arg);
+      continue;
+    }
+
+    // +N / sN success, -N / pN penalty
+    let m = arg.match(/^(?:\+|s)(\d+)$/i);
+    if (m) {
+      parsed.success += parseInt(m[1], 10);
+      continue;
+    }
+    m = arg.match(/^(?:-|p)(\d+)$/i);
+    if (m) {
+      parsed.penalty += parseInt(m[1], 10);
+      continue;
+    }
+
+    // anything else: an attribute or skill name
+    if (parsed.checkName !== null) {
+      parsed.errors.push(`Only one attribute or skill can be rolled ("${parsed.checkName}", "${arg}").`);
+      continue;
+    }
+    // custom skills are only known once the actor is (see executeRrCommand)
+    parsed.checkName = arg;
+    parsed.check = findCheck(arg);
+  }
+
+  return parsed;
+}
+
+// ----------------------------------------
+// Help card
+// ----------------------------------------
+
+async function _whisperHelp(errors = []) {
+  const content = await handlebars.renderTemplate(RR_HELP_TEMPLATE, { errors });
+  return ChatMessage.create({
+    user: game.user.id,
+    speaker: ChatMessage.getSpeaker(),
+    content,
+    whisper: [game.user.id]
+  });
+}
+
+// ----------------------------------------
+// Running a command
+// ----------------------------------------
+
+// Roll a "/rr …" command line. Problems go to the whispered help card.
+// actor: who attribute / skill names resolve against (default: the speaker)
+export async function executeRrCommand(content, { actor = resolveRollActor() } = {}) {
+  const parsed = parseRrCommand(content);
+  if (parsed.help) return _whisperHelp();
+
+  const errors = [...parsed.errors];
+
+  if (parsed.checkName !== null && !parsed.check) {
+    parsed.check = findCheck(parsed.checkName, actor);
+    if (!parsed.check) {
+      errors.push(`Unknown token "${parsed.checkName}": not a number, aX/nX, +N/-N, sN/pN or a known attribute/skill.`);
+    }
+  }
+
+  let total = parsed.total ?? 0;
+  let success = parsed.success;
+
+  if (parsed.check) {
+    if (!actor) {
+      errors.push(`Select a token or assign a character to roll "${parsed.checkName}".`);
+    } else {
+      // same skill + attribute rules as the sheet's Roll buttons
+      const pool = checkPool(actor, parsed.check);
+      if (parsed.total === null) total = pool.baseDice;
+      success += pool.baseSuccess;
+      if (total <= 0) errors.push(`${actor.name}'s ${pool.label} has 0 dice.`);
+    }
+  }
+
+  const dice = errors.length
+    ? null
+    : buildDiceFromTray(total, parsed.specials.join(" "), msg => errors.push(msg.replace(/^Role&Roll: /, "")));
+
+  if (errors.length || !dice) return _whisperHelp(errors);
+
+  // a named check also gets the modifiers of the actor's items
+  const modifiers = parsed.check ? gatherModifiers(actor, parsed.check) : [];
+  const pool = applyModifiers({ dice, bonusSuccess: success, bonusPenalty: parsed.penalty }, modifiers);
+
+  return game.rolenroll.rollPool({
+    actor,
+    dice: pool.dice,
+    bonusSuccess: pool.bonusSuccess,
+    bonusPenalty: pool.bonusPenalty,
+    modifiers: pool.modifiers,
+    difficulty: parsed.difficulty,
+    hiddenDifficulty: parsed.hiddenDifficulty,
+    // a named check reads its own ladder unless one was given
+    ladder: parsed.ladder ?? ladderIdForCheck(parsed.check)
+  });
+}
+
+// ----------------------------------------
+// chatMessage hook
+// ----------------------------------------
+
+// Returns false for /rr so Foundry does not post the raw text
+export function onChatMessage(chatLog, content, chatData) {
+  if (!/^\/rr(\s|$)/i.test(content.trim())) return;
+  executeRrCommand(content).catch(err => {
+    console.error("Role&Roll | /rr failed", err);
+    ui.notifications.error(`Role&Roll: /rr failed: ${err.message}`);
+  });
+  return false;
+}
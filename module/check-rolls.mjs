@@ -0,0 +1,190 @@
+// ===============================
+// Role&Roll check rolls – instant & modified rolls of an actor's check
+// ===============================
+// Shared by the sheet's Roll / Mod Roll buttons, hotbar macros and the
+// public API (game.rolenroll.rollAttribute / rollSkill).
+
+import { rollModeSelectHtml } from "./roll-pool.mjs";
+import { checkPool, normalDice } from "./checks.mjs";
+import { buildDiceFromTray, parseDifficulty } from "./pool-input.mjs";
+import { activateOddsPreview } from "./odds.mjs";
+import { ladderSelectHtml, ladderIdForCheck } from "./ladders.mjs";
+import { resolveRollActor } from "./speaker.mjs";
+import { gatherModifiers, applyModifiers, modifierFormDelta, modifierCheckboxesHtml } from "./modifiers.mjs";
+
+// ----------------------------------------
+// Mod Roll dialog (shared by attributes & skills)
+// ----------------------------------------
+// modifiers: from gatherModifiers(); listed as ticked checkboxes and added
+// on top of what is typed into the form
+export function openModRollDialog({ actor, check = null, label, baseDice = 0, baseSuccess = 0, modifiers = [] }) {
+  const hiddenHtml = game.user.isGM
+    ? `
+  <div class="form-group">
+    <label>Hide difficulty:</label>
+    <input type="checkbox" name="hiddenDifficulty"/>
+  </div>`
+    : "";
+
+  const content = `
+<form class="rr-mod-roll-form">
+  <div class="form-group">
+    <label>Total dice:</label>
+    <input type="number" name="total" value="${baseDice}" min="0" max="50"/>
+  </div>
+  <div class="form-group">
+    <label>Special dice:</label>
+    <input type="text" name="special" placeholder="e.g. a1 a2 n1"/>
+  </div>
+  <div class="form-group">
+    <label>Success:</label>
+    <input type="number" name="success" value="${baseSuccess}" min="0"/>
+  </div>
+  <div class="form-group">
+    <label>Penalty:</label>
+    <input type="number" name="penalty" value="0" min="0"/>
+  </div>
+  <div class="form-group">
+    <label>Difficulty:</label>
+    <input type="number" name="difficulty" value="" min="0" placeholder="none"/>
+  </div>${hiddenHtml}${modifierCheckboxesHtml(modifiers)}
+  <div class="form-group">
+    <label>Outcome ladder:</label>
+    ${ladderSelectHtml("ladder", ladderIdForCheck(check))}
+  </div>
+  <div class="form-group">
+    <label>Roll mode:</label>
+    ${rollModeSelectHtml()}
+  </div>
+  <div class="rr-odds"></div>
+</form>
+`;
+
+  // Pool as currently entered, ticked modifiers included
+  // (used by the odds preview and the Roll button)
+  const readForm = (form) => {
+    const ticked = new Set([...form.querySelectorAll("input[name='modifier']:checked")].map(el => el.value));
+    const used = modifiers.filter(mod => ticked.has(mod.id));
+    const delta = modifierFormDelta(used);
+
+    let total = parseInt(form.total.value || "0", 10) || 0;
+    let special = String(form.special.value || "").trim();
+    let success = parseInt(form.success.value || "0", 10);
+    let penalty = parseInt(form.penalty.value || "0", 10);
+    if (!Number.isFinite(success) || success < 0) success = 0;
+    if (!Number.isFinite(penalty) || penalty < 0) penalty = 0;
+    const difficulty = parseDifficulty(form.difficulty.value);
+
+    total += delta.total;
+    special = [special, delta.special].filter(Boolean).join(" ");
+    success += delta.success;
+    penalty += delta.penalty;
+    return { total, special, success, penalty, difficulty, modifiers: used };
+  };
+
+  new Dialog({
+    title: `Role&Roll – ${label} (modified roll)`,
+    content,
+    buttons: {
+      roll: {
+        icon: '<i class="fas fa-dice"></i>',
+        label: "Roll",
+        callback: (htmlDlg) => {
+          const form = htmlDlg[0].querySelector("form");
+          if (!form) return;
+
+          const { total, special, success, penalty, difficulty, modifiers: used } = readForm(form);
+          const hiddenDifficulty = !!form.hiddenDifficulty?.checked;
+
+          const dice = buildDiceFromTray(total, special);
+          if (!dice) return;
+
+          game.rolenroll.rollPool({
+            actor,
+            dice,
+            bonusSuccess: success,
+            bonusPenalty: penalty,
+            difficulty,
+            hiddenDifficulty,
+            ladder: form.ladder.value,
+            rollMode: form.rollMode.value,
+            modifiers: used
+          });
+        }
+      },
+      cancel: {
+        label: "Cancel"
+      }
+    },
+    default: "roll",
+    render: (htmlDlg) => {
+      const form = htmlDlg.find("form")[0];
+      if (form) activateOddsPreview(htmlDlg, () => readForm(form));
+    }
+  }).render(true);
+}
+
+// ----------------------------------------
+// Rolling a check
+// ----------------------------------------
+
+// Roll a check for an actor like the sheet does:
+// instant = skill + attribute dice, +1 success if ticked, plus every
+// modifier of the actor's items that applies;
+// modified = the Mod Roll dialog, pre-filled with that pool.
+// check: { type: "attribute", key } | { type: "skill", group, key, baseAttr? }
+export function rollCheck(actor, check, { modified = false } = {}) {
+  if (!actor) {
+    ui.notifications.warn("Role&Roll: Select a token or assign a character first.");
+    return null;
+  }
+
+  const { label, baseDice, baseSuccess } = checkPool(actor, check);
+  const modifiers = gatherModifiers(actor, check);
+
+  if (modified) {
+    openModRollDialog({ actor, check, label, baseDice, baseSuccess, modifiers });
+    return null;
+  }
+
+  const pool = applyModifiers({ dice: normalDice(baseDice), bonusSuccess: baseSuccess }, modifiers);
+  if (!pool.dice.length) {
+    ui.notifications.warn(
+      check.type === "skill"
+        ? `Role&Roll: ${label} has 0 total dice (skill + attribute).`
+        : `Role&Roll: ${label} has 0 dice.`
+    );
+    return null;
+  }
+
+  return game.rolenroll.rollPool({
+    actor,
+    dice: pool.dice,
+    bonusSuccess: pool.bonusSuccess,
+    bonusPenalty: pool.bonusPenalty,
+    ladder: ladderIdForCheck(check),
+    modifiers: pool.modifiers
+  });
+}
+
+// Internal: actor for the API calls below.
+// useControlled: a controlled token wins over actorUuid (hotbar macros),
+// without any actor the usual speaker resolution applies.
+function _apiActor(actorUuid, useControlled) {
+  if (useControlled) {
+    const controlled = canvas?.tokens?.controlled?.[0]?.actor;
+    if (controlled) return controlled;
+  }
+  return (actorUuid ? fromUuidSync(actorUuid) : null) ?? resolveRollActor();
+}
+
+// game.rolenroll.rollAttribute("Actor.abc", "strength", { modified: true })
+export function rollAttribute(actorUuid, key, { modified = false, useControlled = false } = {}) {
+  return rollCheck(_apiActor(actorUuid, useControlled), { type: "attribute", key }, { modified });
+}
+
+// game.rolenroll.rollSkill("Actor.abc", "academic", "search", { modified: false })
+// game.rolenroll.rollSkill("Actor.abc", "custom", "Occult Lore")  (custom skill by id or label)
+export function rollSkill(actorUuid, group, key, { modified = false, useControlled = false } = {}) {
+  return rollCheck(_apiActor(actorUuid, useControlled), { type: "skill", group, key }, { modified });
+}
@@ -0,0 +1,181 @@
+// ===============================
+// Role&Roll checks – attribute & skill pools of an actor
+// ===============================
+
+export const ATTRIBUTES = {
+  strength: "Strength",
+  dexterity: "Dexterity",
+  toughness: "Toughness",
+  intellect: "Intellect",
+  aptitude: "Aptitude",
+  sanity: "Sanity",
+  charm: "Charm",
+  rhetoric: "Rhetoric",
+  ego: "Ego"
+};
+
+// Skill groups → skills, with the attribute(s) they add to the pool
+// (the registry in CONFIG.ROLENROLL.skills, see skills.mjs)
+export function skillGroups() {
+  return CONFIG.ROLENROLL?.skills ?? {};
+}
+
+export function getSkillConfig(group, key) {
+  return skillGroups()[group]?.skills?.[key] ?? null;
+}
+
+// Skill group of an actor's own skills (system.customSkills).
+// Their checks name them by id or label: { type: "skill", group: "custom", key }
+export const CUSTOM_SKILL_GROUP = "custom";
+
+const norm = (s) => String(s ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// ----------------------------------------
+// Reading values off an actor
+// ----------------------------------------
+// actor.system holds the values after active effects (see effects.mjs),
+// so every pool below is built from the effective ratings.
+
+export function getAttrValueSingle(actor, key) {
+  return Number(actor?.system?.attributes?.[key]?.value) || 0;
+}
+
+// can accept "dexterity" or "dexterity,intellect" and returns the highest
+export function getAttrValueFromKeyString(actor, keyString) {
+  if (!keyString) return 0;
+  const keys = String(keyString)
+    .split(",")
+    .map(k => k.trim())
+    .filter(Boolean);
+  if (!keys.length) return 0;
+  let best = 0;
+  for (const k of keys) {
+    const v = getAttrValueSingle(actor, k);
+    if (v > best) best = v;
+  }
+  return best;
+}
+
+// Custom skill of an actor by id or label ("Occult Lore", "occult-lore"), or null
+export function getCustomSkill(actor, keyOrLabel) {
+  const skills = actor?.system?.customSkills ?? [];
+  return skills.find(s => s.id === keyOrLabel)
+    ?? skills.find(s => norm(s.label) && norm(s.label) === norm(keyOrLabel))
+    ?? null;
+}
+
+export function getSkillData(actor, group, key) {
+  if (group === CUSTOM_SKILL_GROUP) return getCustomSkill(actor, key) || { value: 0, success: false };
+  return actor?.system?.skills?.[group]?.[key] || { value: 0, success: false };
+}
+
+// ----------------------------------------
+// Checks
+// ----------------------------------------
+// A check names what is rolled:
+//   { type: "attribute", key: "strength" }
+//   { type: "skill", group: "academic", key: "art", baseAttr?: "dexterity,intellect" }
+//   { type: "skill", group: "custom", key: "<id or label>" }   (actor's own skill)
+
+// "attribute.strength" / "skill.academic.art" ↔ check object
+export function checkToString(check) {
+  if (check?.type === "skill") return `skill.${check.group}.${check.key}`;
+  return `attribute.${check?.key}`;
+}
+
+export function checkFromString(value) {
+  const [type, a, b] = String(value ?? "").split(".");
+  if (type === "skill" && a && b) return { type: "skill", group: a, key: b };
+  if (type === "attribute" && a) return { type: "attribute", key: a };
+  return null;
+}
+
+// actor: needed for custom skills named by id
+export function checkLabel(check, actor = null) {
+  if (check?.type === "skill" && check.group === CUSTOM_SKILL_GROUP) {
+    return getCustomSkill(actor, check.key)?.label ?? check.key;
+  }
+  if (check?.type === "skill") return getSkillConfig(check.group, check.key)?.label ?? check.key;
+  return ATTRIBUTES[check?.key] ?? check?.key ?? "";
+}
+
+// Find a check by name, as typed in chat:
+// attributes by key, label or 3-letter short form ("str", "int", "ego"),
+// skills by key or label ("art", "firstAid", "first-aid", "General Education"),
+// then the actor's custom skills by label ("Occult Lore", "occultlore").
+// Returns null when nothing matches.
+export function findCheck(name, actor = null) {
+  const wanted = norm(name);
+  if (!wanted) return null;
+
+  for (const [key, label] of Object.entries(ATTRIBUTES)) {
+    if (wanted === norm(key) || wanted === norm(label) || wanted === norm(key).slice(0, 3)) {
+      return { type: "attribute", key };
+    }
+  }
+
+  for (const [group, { skills }] of Object.entries(skillGroups())) {
+    for (const [key, skill] of Object.entries(skills)) {
+      if (wanted === norm(key) || wanted === norm(skill.label)) {
+        return { type: "skill", group, key };
+      }
+    }
+  }
+
+  const custom = getCustomSkill(actor, name);
+  if (custom) return { type: "skill", group: CUSTOM_SKILL_GROUP, key: custom.id };
+
+  return null;
+}
+
+// All checks for a <select>: [{ value, label, group }]
+export function checkChoices() {
+  const choices = Object.entries(ATTRIBUTES).map(([key, label]) => ({
+    value: checkToString({ type: "attribute", key }),
+    label,
+    group: "Attributes"
+  }));
+
+  for (const [group, { label: groupLabel, skills }] of Object.entries(skillGroups())) {
+    for (const [key, skill] of Object.entries(skills)) {
+      choices.push({
+        value: checkToString({ type: "skill", group, key }),
+        label: skill.label,
+        group: `Skills – ${groupLabel ?? group}`
+      });
+    }
+  }
+
+  return choices;
+}
+
+// Base pool of a check, using the same rules as the sheet:
+// - attribute: dice = attribute value, +1 success if its box is ticked
+// - skill: dice = skill value + linked attribute (highest if several),
+//          +1 success if the skill's box is ticked
+export function checkPool(actor, check) {
+  if (check?.type === "skill") {
+    const skill = getSkillData(actor, check.group, check.key);
+    const baseAttr = check.baseAttr
+      ?? (check.group === CUSTOM_SKILL_GROUP ? skill.baseAttr : getSkillConfig(check.group, check.key)?.baseAttr);
+    const skillVal = Number(skill.value) || 0;
+    const attrVal = getAttrValueFromKeyString(actor, baseAttr);
+    return {
+      label: checkLabel(check, actor),
+      baseDice: skillVal + attrVal,
+      baseSuccess: skill.success ? 1 : 0
+    };
+  }
+
+  const attrData = actor?.system?.attributes?.[check?.key] || {};
+  return {
+    label: checkLabel(check),
+    baseDice: Number(attrData.value) || 0,
+    baseSuccess: attrData.success ? 1 : 0
+  };
+}
+
+// N normal dice
+export function normalDice(count) {
+  return Array.from({ length: Math.max(0, count) }, () => ({ kind: "normal" }));
+}
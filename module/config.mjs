@@ -0,0 +1,12 @@
+// ===============================
+// Role&Roll – shared constants
+// ===============================
+
+// MUST match system.json "id"
+export const SYSTEM_ID = "rolenroll_test";
+
+// Path of a file inside this system, e.g. systemPath("templates/roll-card.hbs")
+export const systemPath = (path) => `systems/${SYSTEM_ID}/${path}`;
+
+// Foundry v13 moved renderTemplate / loadTemplates
+export const handlebars = foundry.applications?.handlebars ?? globalThis;
@@ -0,0 +1,95 @@
+// ===============================
+// Role&Roll custom skills – an actor's own skills (system.customSkills)
+// ===============================
+// Each entry: { id, label, value: 0–6, success, baseAttr: "dexterity,intellect" }
+// They roll as { type: "skill", group: "custom", key: id } (see checks.mjs),
+// and /rr or hotbar macros find them by label.
+// The list is an array, so every change writes the whole list back.
+
+import { ATTRIBUTES } from "./checks.mjs";
+
+// Internal: editable copy of the stored list (without derived changes)
+function _sourceSkills(actor) {
+  return foundry.utils.deepClone(actor._source.system?.customSkills ?? []);
+}
+
+export function updateCustomSkill(actor, id, changes) {
+  const skills = _sourceSkills(actor);
+  const skill = skills.find(s => s.id === id);
+  if (!skill) return null;
+  Object.assign(skill, changes);
+  return actor.update({ "system.customSkills": skills });
+}
+
+export function deleteCustomSkill(actor, id) {
+  const skills = _sourceSkills(actor).filter(s => s.id !== id);
+  return actor.update({ "system.customSkills": skills });
+}
+
+// Add (id = null) or edit a custom skill: label, base attribute(s), value, success
+export function openCustomSkillDialog(actor, id = null) {
+  const skill = id ? actor.system.customSkills.find(s => s.id === id) : null;
+  const baseAttrs = String(skill?.baseAttr ?? "").split(",");
+  const labelValue = foundry.utils.escapeHTML?.(skill?.label ?? "") ?? skill?.label ?? "";
+
+  const attrBoxes = Object.entries(ATTRIBUTES).map(([key, label]) => `
+    <label><input type="checkbox" name="attr.${key}" ${baseAttrs.includes(key) ? "checked" : ""}/> ${label}</label>`
+  ).join("");
+
+  const content = `
+<form class="rr-custom-skill-form">
+  <div class="form-group">
+    <label>Name:</label>
+    <input type="text" name="label" value="${labelValue}" placeholder="e.g. Occult Lore"/>
+  </div>
+  <div class="form-group">
+    <label>Value:</label>
+    <input type="number" name="value" value="${skill?.value ?? 0}" min="0" max="6"/>
+  </div>
+  <div class="form-group">
+    <label>Success:</label>
+    <input type="checkbox" name="success" ${skill?.success ? "checked" : ""}/>
+  </div>
+  <p class="notes">Base attributes (the highest one is added to the pool):</p>
+  <div class="rr-custom-skill-attrs">${attrBoxes}
+  </div>
+</form>
+`;
+
+  new Dialog({
+    title: skill ? `Edit skill: ${skill.label}` : `New skill: ${actor.name}`,
+    content,
+    buttons: {
+      save: {
+        icon: '<i class="fas fa-save"></i>',
+        label: "Save",
+        callback: (html) => {
+          const form = html[0].querySelector("form");
+          const label = form.label.value.trim();
+          const baseAttr = Object.keys(ATTRIBUTES)
+            .filter(key => form[`attr.${key}`].checked)
+            .join(",");
+
+          if (!label || !baseAttr) {
+            ui.notifications.warn("Role&Roll: A custom skill needs a name and at least one base attribute.");
+            return;
+          }
+
+          const data = {
+            label,
+            baseAttr,
+            value: Number(form.value.value) || 0,
+            success: form.success.checked
+          };
+
+          if (skill) return updateCustomSkill(actor, skill.id, data);
+          const skills = _sourceSkills(actor);
+          skills.push({ id: foundry.utils.randomID(), ...data });
+          return actor.update({ "system.customSkills": skills });
+        }
+      },
+      cancel: { label: "Cancel" }
+    },
+    default: "save"
+  }).render(true);
+}
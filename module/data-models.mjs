@@ -0,0 +1,277 @@
+// ===============================
+// Role&Roll data models – validated actor & item system data
+// ===============================
+// The schema is the one place where actor data is checked: every create /
+// update (sheet, macro, import, API) is cleaned against it.
+//   - numbers are rounded to integers and clamped into their range
+//   - anything that is not a number is rejected
+//   - current HP / WP never exceed their (effective) maximum
+// Characters (CharacterData) carry attributes & skills, NPCs (NpcData) only
+// a few named quick pools. Items: weapon, armor, gear, ability, each with
+// roll modifiers. Attributes come from ATTRIBUTES, skills from the registry in
+// CONFIG.ROLENROLL.skills (skills.mjs), read once when the schema is built.
+
+import { ATTRIBUTES, skillGroups } from "./checks.mjs";
+import { MODIFIER_EFFECTS } from "./modifiers.mjs";
+
+const fields = foundry.data.fields;
+
+// Highest value of an attribute or skill (six circles on the sheet)
+export const MAX_RATING = 6;
+
+// Mental hearts shown on the sheet
+export const MAX_MENTAL_HEARTS = 18;
+
+// Highest threat level of an NPC
+export const MAX_THREAT = 10;
+
+// Internal: integer ≥ min (and ≤ max), never null
+function _integer({ initial = 0, min = 0, max } = {}) {
+  return new fields.NumberField({ required: true, nullable: false, integer: true, initial, min, max });
+}
+
+// Internal: { value: 0–6, success } of one attribute / skill
+function _rating() {
+  return new fields.SchemaField({
+    value: _integer({ max: MAX_RATING }),
+    success: new fields.BooleanField({ initial: false })
+  });
+}
+
+// Internal: "dexterity" / "dexterity,intellect" naming only known attributes
+function _isBaseAttr(value) {
+  const keys = String(value ?? "").split(",").map(k => k.trim());
+  return keys.length > 0 && keys.every(k => k in ATTRIBUTES);
+}
+
+// Internal: an actor's own skill (label, 0–6 value, success, base attribute(s))
+function _customSkill() {
+  return new fields.SchemaField({
+    id: new fields.StringField({ required: true, blank: false, initial: () => foundry.utils.randomID() }),
+    label: new fields.StringField({ required: true, blank: false, initial: "New skill" }),
+    value: _integer({ max: MAX_RATING }),
+    success: new fields.BooleanField({ initial: false }),
+    baseAttr: new fields.StringField({ required: true, blank: false, initial: "intellect", validate: _isBaseAttr })
+  });
+}
+
+// Internal: one _rating() per key of a label map
+function _ratings(keys) {
+  return new fields.SchemaField(Object.fromEntries(keys.map(key => [key, _rating()])));
+}
+
+// Internal: older shapes of attributes & skills, fixed in place:
+//   attributes.body.strength → attributes.strength   (grouped attributes)
+//   skills.search            → skills.academic.search (skills outside their group)
+//   strength: 3              → strength: { value: 3 } (plain numbers)
+function _migrateRatings(source) {
+  const attributes = source.attributes;
+  if (attributes && typeof attributes === "object") {
+    for (const [key, entry] of Object.entries(attributes)) {
+      if (key in ATTRIBUTES || !entry || typeof entry !== "object") continue;
+      for (const [attr, rating] of Object.entries(entry)) {
+        if (attr in ATTRIBUTES && !(attr in attributes)) attributes[attr] = rating;
+      }
+      delete attributes[key];
+    }
+    for (const [key, rating] of Object.entries(attributes)) {
+      if (typeof rating === "number") attributes[key] = { value: rating, success: false };
+    }
+  }
+
+  const skills = source.skills;
+  if (skills && typeof skills === "object") {
+    const groups = skillGroups();
+    for (const [key, rating] of Object.entries(skills)) {
+      if (key in groups) continue;
+      const group = Object.keys(groups).find(g => key in groups[g].skills);
+      if (!group) continue;
+      skills[group] ??= {};
+      skills[group][key] ??= typeof rating === "number" ? { value: rating, success: false } : rating;
+      delete skills[key];
+    }
+    for (const group of Object.keys(groups)) {
+      for (const [key, rating] of Object.entries(skills[group] ?? {})) {
+        if (typeof rating === "number") skills[group][key] = { value: rating, success: false };
+      }
+    }
+  }
+}
+
+// Internal: one named quick pool of an NPC ("Claws: 5 dice a1")
+function _quickPool() {
+  return new fields.SchemaField({
+    id: new fields.StringField({ required: true, blank: false, initial: () => foundry.utils.randomID() }),
+    name: new fields.StringField({ required: true, blank: false, initial: "Attack" }),
+    dice: _integer({ initial: 5, max: 50 }),
+    special: new fields.StringField({ required: true, blank: true, initial: "" }),
+    success: _integer(),
+    penalty: _integer()
+  });
+}
+
+// Shared by all actor types: [current, maximum] pairs clamped against each other.
+// Maxima may be raised or lowered by active effects (effects.mjs): the stored
+// current value is kept, the prepared one never exceeds the effective maximum.
+class RolenrollActorData extends foundry.abstract.TypeDataModel {
+  static POOLS = [["hpCurrent", "hpMax"]];
+
+  // Target of active effects that add roll modifiers
+  // (system.rollModifiers.<target>.<effect>, see effects.mjs)
+  prepareBaseData() {
+    this.rollModifiers = {};
+  }
+
+  // Values after active effects: defense and maxima never below 0
+  prepareDerivedData() {
+    this.defense = Math.max(0, Math.floor(Number(this.defense) || 0));
+    for (const [current, max] of this.constructor.POOLS) {
+      this[max] = Math.max(0, Math.floor(Number(this[max]) || 0));
+      if (this[current] > this[max]) this[current] = this[max];
+    }
+  }
+
+  // Updates: a new current value, or a lowered maximum, keeps current ≤ max.
+  // A new stored maximum keeps what active effects add to it.
+  async _preUpdate(changes, options, user) {
+    const system = changes.system;
+    if (system) {
+      for (const [current, max] of this.constructor.POOLS) {
+        if (!(current in system) && !(max in system)) continue;
+        const bonus = Number(this[max]) - Number(this._source[max]);
+        const maxValue = max in system ? Number(system[max]) + bonus : Number(this[max]);
+        if (Number(system[current] ?? this._source[current]) > maxValue) system[current] = maxValue;
+      }
+    }
+    return super._preUpdate(changes, options, user);
+  }
+}
+
+export class CharacterData extends RolenrollActorData {
+  static POOLS = [["hpCurrent", "hpMax"], ["wpCurrent", "wpMax"]];
+
+  static defineSchema() {
+    return {
+      hpCurrent: _integer(),
+      hpMax: _integer(),
+      defense: _integer(),
+      wpCurrent: _integer(),
+      wpMax: _integer(),
+      level: _integer({ initial: 1 }),
+      exp: _integer(),
+      mentalHearts: _integer({ max: MAX_MENTAL_HEARTS }),
+
+      attributes: _ratings(Object.keys(ATTRIBUTES)),
+      skills: new fields.SchemaField(Object.fromEntries(
+        Object.entries(skillGroups()).map(([group, { skills }]) => [group, _ratings(Object.keys(skills))])
+      )),
+      customSkills: new fields.ArrayField(_customSkill())
+    };
+  }
+
+  // Stored data (imports, old actors) in an older shape.
+  // The migration runner (migration.mjs) saves the result.
+  static migrateData(source) {
+    _migrateRatings(source);
+    return super.migrateData(source);
+  }
+
+  // Ratings after active effects: whole numbers, never below 0
+  // (effects may lift them above 6)
+  prepareDerivedData() {
+    super.prepareDerivedData();
+    const clamp = (rating) => { rating.value = Math.max(0, Math.floor(Number(rating.value) || 0)); };
+    Object.values(this.attributes).forEach(clamp);
+    for (const group of Object.values(this.skills)) Object.values(group).forEach(clamp);
+  }
+}
+
+export class NpcData extends RolenrollActorData {
+  static defineSchema() {
+    return {
+      hpCurrent: _integer(),
+      hpMax: _integer(),
+      defense: _integer(),
+      threat: _integer({ initial: 1, max: MAX_THREAT }),
+      pools: new fields.ArrayField(_quickPool()),
+      notes: new fields.HTMLField({ required: true, blank: true, initial: "" })
+    };
+  }
+}
+
+// ----------------------------------------
+// Items
+// ----------------------------------------
+
+// Internal: description shared by every item type
+function _description() {
+  return new fields.HTMLField({ required: true, blank: true, initial: "" });
+}
+
+// Internal: roll modifiers of an item (see modifiers.mjs)
+function _modifiers() {
+  return new fields.ArrayField(new fields.SchemaField({
+    target: new fields.StringField({ required: true, blank: false, initial: "all" }),
+    effect: new fields.StringField({ required: true, initial: "success", choices: Object.keys(MODIFIER_EFFECTS) }),
+    value: _integer({ initial: 1 })
+  }));
+}
+
+// check: the pool it is used with ("skill.combat.melee", see checkToString)
+// special: extra dice added to that pool ("a1")
+export class WeaponData extends foundry.abstract.TypeDataModel {
+  static defineSchema() {
+    return {
+      description: _description(),
+      check: new fields.StringField({ required: true, blank: true, initial: "skill.combat.melee" }),
+      damage: _integer(),
+      range: new fields.StringField({ required: true, blank: true, initial: "" }),
+      special: new fields.StringField({ required: true, blank: true, initial: "" }),
+      equipped: new fields.BooleanField({ initial: false }),
+      modifiers: _modifiers()
+    };
+  }
+}
+
+export class ArmorData extends foundry.abstract.TypeDataModel {
+  static defineSchema() {
+    return {
+      description: _description(),
+      defense: _integer(),
+      equipped: new fields.BooleanField({ initial: false }),
+      modifiers: _modifiers()
+    };
+  }
+}
+
+export class GearData extends foundry.abstract.TypeDataModel {
+  static defineSchema() {
+    return {
+      description: _description(),
+      quantity: _integer({ initial: 1 }),
+      modifiers: _modifiers()
+    };
+  }
+}
+
+// wpCost: Will Power spent to use it
+export class AbilityData extends foundry.abstract.TypeDataModel {
+  static defineSchema() {
+    return {
+      description: _description(),
+      wpCost: _integer(),
+      modifiers: _modifiers()
+    };
+  }
+}
+
+// Called from the init hook
+export function registerDataModels() {
+  CONFIG.Actor.dataModels.character = CharacterData;
+  CONFIG.Actor.dataModels.npc = NpcData;
+
+  CONFIG.Item.dataModels.weapon = WeaponData;
+  CONFIG.Item.dataModels.armor = ArmorData;
+  CONFIG.Item.dataModels.gear = GearData;
+  CONFIG.Item.dataModels.ability = AbilityData;
+}
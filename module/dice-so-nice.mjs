@@ -0,0 +1,79 @@
+// ===============================
+// Role&Roll – Dice So Nice integration
+// ===============================
+// Every die config (normal, a1–a4, n1–n4) gets its own Dice So Nice "system"
+// with the right face labels and its own colorset. Each "dr" term of a roll
+// is pointed at the matching one before the 3D dice are shown.
+
+import { SYSTEM_ID } from "./config.mjs";
+import { buildDieFaces, RolenrollDie } from "./dice.mjs";
+
+// Colours per variant: normal = ivory, "+" dice = greens, "-" dice = reds
+const VARIANTS = [
+  { key: "normal", label: "Normal", config: { kind: "normal" }, background: "#f5f0e1", foreground: "#111111" },
+  { key: "a1", label: "Advantage a1", config: { kind: "adv", plusCount: 1 }, background: "#c8e6c9", foreground: "#1b5e20" },
+  { key: "a2", label: "Advantage a2", config: { kind: "adv", plusCount: 2 }, background: "#81c784", foreground: "#0d3d10" },
+  { key: "a3", label: "Advantage a3", config: { kind: "adv", plusCount: 3 }, background: "#43a047", foreground: "#ffffff" },
+  { key: "a4", label: "Advantage a4", config: { kind: "adv", plusCount: 4 }, background: "#1b5e20", foreground: "#ffffff" },
+  { key: "n1", label: "Negative n1", config: { kind: "neg", minusCount: 1 }, background: "#ffcdd2", foreground: "#8e0000" },
+  { key: "n2", label: "Negative n2", config: { kind: "neg", minusCount: 2 }, background: "#e57373", foreground: "#4a0000" },
+  { key: "n3", label: "Negative n3", config: { kind: "neg", minusCount: 3 }, background: "#c62828", foreground: "#ffffff" },
+  { key: "n4", label: "Negative n4", config: { kind: "neg", minusCount: 4 }, background: "#7f0000", foreground: "#ffffff" }
+];
+
+// Base die keeps the system id itself, variants get "rolenroll_test-a2" etc.
+const systemIdFor = (key) => (key === "normal" ? SYSTEM_ID : `${SYSTEM_ID}-${key}`);
+const colorsetFor = (key) => `${SYSTEM_ID}-${key}`;
+
+// "normal" | "a1".."a4" | "n1".."n4" for a die config
+function variantKey(config = {}) {
+  if (config.kind === "adv") return `a${config.plusCount ?? 1}`;
+  if (config.kind === "neg") return `n${config.minusCount ?? 1}`;
+  return "normal";
+}
+
+// Called from the diceSoNiceReady hook
+export function registerDiceSoNice(dice3d) {
+  console.log("Role&Roll | Registering custom dice with Dice So Nice");
+
+  for (const variant of VARIANTS) {
+    dice3d.addSystem({
+      id: systemIdFor(variant.key),
+      name: `Role&Roll – ${variant.label}`
+    }, variant.key === "normal" ? "preferred" : "default");
+
+    dice3d.addColorset({
+      name: colorsetFor(variant.key),
+      description: `Role&Roll ${variant.label}`,
+      category: "Role&Roll",
+      foreground: variant.foreground,
+      background: variant.background,
+      outline: "#000000",
+      edge: variant.background,
+      texture: "none",
+      material: "plastic"
+    }, "default");
+
+    // Faces as on the real die, e.g. a2: ["1", "+", "+", "", "", "R"]
+    dice3d.addDicePreset({
+      type: `d${RolenrollDie.DENOMINATION}`,
+      system: systemIdFor(variant.key),
+      labels: buildDieFaces(variant.config),
+      colorset: colorsetFor(variant.key)
+    }, "d6");
+  }
+}
+
+// Point every "dr" term of a roll at the preset for its die config
+export function applyDiceSoNiceAppearance(roll) {
+  for (const term of roll?.dice ?? []) {
+    if (!(term instanceof RolenrollDie)) continue;
+    const key = variantKey(term.config);
+    term.options.appearance = {
+      ...(term.options.appearance ?? {}),
+      system: systemIdFor(key),
+      colorset: colorsetFor(key)
+    };
+  }
+  return roll;
+}
@@ -0,0 +1,297 @@
+// ===============================
+// Role&Roll Dice Tray (chat sidebar) with saved presets
+// ===============================
+
+import { SYSTEM_ID } from "./config.mjs";
+import { buildDiceFromTray, parseDifficulty } from "./pool-input.mjs";
+import { rollModeSelectHtml } from "./roll-pool.mjs";
+import { resolveRollActor, rollActorChoices, actorFromChoice } from "./speaker.mjs";
+import { activateOddsPreview } from "./odds.mjs";
+import { ladderSelectHtml } from "./ladders.mjs";
+
+// Value of the "Last roll" entry in the preset dropdown (not a valid preset name)
+const LAST_ROLL = "__last";
+
+const DEFAULT_VALUES = { total: 5, special: "", success: 0, penalty: 0 };
+
+// ----------------------------------------
+// Presets (stored per user in user flags)
+// ----------------------------------------
+// game.user.flags.rolenroll_test:
+//   trayPresets:  [{ name, total, special, success, penalty }, …]
+//   trayLastRoll: { total, special, success, penalty }
+
+export function getTrayPresets(user = game.user) {
+  return user.getFlag(SYSTEM_ID, "trayPresets") ?? [];
+}
+
+export function getTrayLastRoll(user = game.user) {
+  return user.getFlag(SYSTEM_ID, "trayLastRoll") ?? null;
+}
+
+// Keep only the fields a preset stores
+function _presetValues({ total, special, success, penalty } = {}) {
+  return {
+    total: Math.max(0, parseInt(total, 10) || 0),
+    special: String(special ?? "").trim(),
+    success: Math.max(0, parseInt(success, 10) || 0),
+    penalty: Math.max(0, parseInt(penalty, 10) || 0)
+  };
+}
+
+// Add a preset, or replace the one with the same name
+export async function saveTrayPreset(name, values, user = game.user) {
+  name = String(name ?? "").trim();
+  if (!name) return null;
+  if (name === LAST_ROLL) {
+    ui.notifications.warn(`Role&Roll: "${LAST_ROLL}" cannot be used as a preset name.`);
+    return null;
+  }
+
+  const presets = getTrayPresets(user).filter(p => p.name !== name);
+  presets.push({ name, ..._presetValues(values) });
+  presets.sort((a, b) => a.name.localeCompare(b.name));
+
+  await user.setFlag(SYSTEM_ID, "trayPresets", presets);
+  return presets;
+}
+
+export async function deleteTrayPreset(name, user = game.user) {
+  const presets = getTrayPresets(user).filter(p => p.name !== name);
+  await user.setFlag(SYSTEM_ID, "trayPresets", presets);
+  return presets;
+}
+
+export async function setTrayLastRoll(values, user = game.user) {
+  return user.setFlag(SYSTEM_ID, "trayLastRoll", _presetValues(values));
+}
+
+// ----------------------------------------
+// Tray
+// ----------------------------------------
+
+function _presetOptionsHtml(selected = "") {
+  const lastRoll = getTrayLastRoll();
+  let html = `<option value="">— Presets —</option>`;
+  if (lastRoll) {
+    html += `<option value="${LAST_ROLL}" ${selected === LAST_ROLL ? "selected" : ""}>Last roll</option>`;
+  }
+  for (const preset of getTrayPresets()) {
+    const name = foundry.utils.escapeHTML?.(preset.name) ?? preset.name;
+    html += `<option value="${name}" ${preset.name === selected ? "selected" : ""}>${name}</option>`;
+  }
+  return html;
+}
+
+// Actor picker: "Auto" follows the controlled token / assigned character
+function _actorOptionsHtml(selected = "") {
+  const auto = resolveRollActor();
+  const autoName = auto ? (foundry.utils.escapeHTML?.(auto.name) ?? auto.name) : "no actor";
+  let html = `<option value="">Auto (${autoName})</option>`;
+  html += `<option value="none" ${selected === "none" ? "selected" : ""}>No actor</option>`;
+  for (const choice of rollActorChoices()) {
+    const name = foundry.utils.escapeHTML?.(choice.name) ?? choice.name;
+    html += `<option value="${choice.uuid}" ${choice.uuid === selected ? "selected" : ""}>${name}</option>`;
+  }
+  return html;
+}
+
+// controlToken / createActor / deleteActor hooks: the tray stays open
+// while tokens get selected, so rebuild the picker (keeping the choice)
+export function refreshTrayActors() {
+  for (const select of document.querySelectorAll('#role-roll-tray [name="rr-actor"]')) {
+    const selected = select.value;
+    select.innerHTML = _actorOptionsHtml(selected);
+    // the picked actor may be gone: fall back to Auto
+    if (select.value !== selected) select.value = "";
+  }
+}
+
+// renderChatLog hook: inject the tray above the chat input
+export function renderDiceTray(app, html, data) {
+  // avoid duplicating the tray
+  if (html.find("#role-roll-tray").length) return;
+
+  // the tray comes back with the last roll instead of the defaults
+  const start = getTrayLastRoll() ?? DEFAULT_VALUES;
+  const special = foundry.utils.escapeHTML?.(start.special) ?? start.special;
+
+  const trayHtml = $(`
+<div id="role-roll-tray" class="role-roll-tray">
+  <div class="role-roll-tray-header"><strong>Role&Roll Dice Tray</strong></div>
+  <div class="form-group role-roll-tray-presets">
+    <select name="rr-preset">${_presetOptionsHtml()}</select>
+    <button type="button" class="role-roll-tray-preset-save" title="Save as preset">
+      <i class="fas fa-save"></i>
+    </button>
+    <button type="button" class="role-roll-tray-preset-delete" title="Delete preset">
+      <i class="fas fa-trash"></i>
+    </button>
+  </div>
+  <div class="form-group">
+    <label>Actor:</label>
+    <select name="rr-actor">${_actorOptionsHtml()}</select>
+  </div>
+  <div class="form-group">
+    <label>Total:</label>
+    <input type="number" name="rr-total" value="${start.total}" min="0" max="50"/>
+  </div>
+  <div class="form-group">
+    <label>Special:</label>
+    <input type="text" name="rr-special" value="${special}" placeholder="e.g. a1 a2 n1"/>
+  </div>
+  <div class="form-group">
+    <label>Success:</label>
+    <input type="number" name="rr-success" value="${start.success}" min="0"/>
+  </div>
+    <div class="form-group">
+    <label>Penalty:</label>
+    <input type="number" name="rr-penalty" value="${start.penalty}" min="0"/>
+  </div>
+  <div class="form-group">
+    <label>Difficulty:</label>
+    <input type="number" name="rr-difficulty" value="" min="0" placeholder="none"/>
+  </div>
+  ${game.user.isGM ? `<div class="form-group">
+    <label>Hide difficulty:</label>
+    <input type="checkbox" name="rr-hidden-difficulty"/>
+  </div>` : ""}
+  <div class="form-group">
+    <label>Ladder:</label>
+    ${ladderSelectHtml("rr-ladder")}
+  </div>
+  <div class="form-group">
+    <label>Mode:</label>
+    ${rollModeSelectHtml("rr-roll-mode")}
+  </div>
+  <div class="rr-odds"></div>
+  <div class="form-group">
+    <button type="button" class="role-roll-tray-roll">
+      <i class="fas fa-dice"></i> Roll
+    </button>
+  </div>
+  ${game.user.isGM ? `<div class="form-group">
+    <button type="button" class="role-roll-tray-group-check">
+      <i class="fas fa-users"></i> Group check
+    </button>
+  </div>` : ""}
+  <hr/>
+</div>
+`);
+
+  // Insert tray above the chat input form
+  const chatForm = html.find("#chat-form");
+  if (chatForm.length) {
+    trayHtml.insertBefore(chatForm);
+  } else {
+    html.append(trayHtml);
+  }
+
+  const field = (name) => trayHtml.find(`[name="${name}"]`);
+  const presetSelect = field("rr-preset");
+
+  const readValues = () => _presetValues({
+    total: field("rr-total").val(),
+    special: field("rr-special").val(),
+    success: field("rr-success").val(),
+    penalty: field("rr-penalty").val()
+  });
+
+  const fillValues = (values) => {
+    field("rr-total").val(values.total);
+    field("rr-special").val(values.special);
+    field("rr-success").val(values.success);
+    field("rr-penalty").val(values.penalty);
+  };
+
+  const refreshPresets = (selected = presetSelect.val()) => {
+    presetSelect.html(_presetOptionsHtml(selected));
+  };
+
+  const actorSelect = field("rr-actor");
+
+  // ---------------- Odds ----------------
+  const updateOdds = activateOddsPreview(trayHtml, () => ({
+    ...readValues(),
+    difficulty: parseDifficulty(field("rr-difficulty").val())
+  }));
+
+  // ---------------- Presets ----------------
+  presetSelect.on("change", () => {
+    const name = presetSelect.val();
+    if (!name) return;
+    const values = name === LAST_ROLL
+      ? getTrayLastRoll()
+      : getTrayPresets().find(p => p.name === name);
+    if (values) {
+      fillValues(values);
+      updateOdds();
+    }
+  });
+
+  trayHtml.find(".role-roll-tray-preset-save").on("click", async () => {
+    const current = presetSelect.val();
+    const suggested = current && current !== LAST_ROLL ? current : "";
+    const value = foundry.utils.escapeHTML?.(suggested) ?? suggested;
+
+    const name = await Dialog.prompt({
+      title: "Role&Roll – Save preset",
+      content: `
+<form>
+  <div class="form-group">
+    <label>Preset name:</label>
+    <input type="text" name="name" value="${value}" autofocus/>
+  </div>
+</form>`,
+      label: "Save",
+      callback: (htmlDlg) => String(htmlDlg.find('[name="name"]').val() || "").trim(),
+      rejectClose: false
+    });
+    if (!name) return;
+
+    if (!await saveTrayPreset(name, readValues())) return;
+    refreshPresets(name);
+  });
+
+  trayHtml.find(".role-roll-tray-preset-delete").on("click", async () => {
+    const name = presetSelect.val();
+    if (!name || name === LAST_ROLL) {
+      ui.notifications.warn("Role&Roll: Choose a saved preset to delete.");
+      return;
+    }
+    await deleteTrayPreset(name);
+    refreshPresets("");
+  });
+
+  // ---------------- Group check (GM) ----------------
+  trayHtml.find(".role-roll-tray-group-check").on("click", () => {
+    game.rolenroll.openGroupCheckDialog();
+  });
+
+  // ---------------- Roll ----------------
+  trayHtml.find(".role-roll-tray-roll").on("click", async () => {
+    const values = readValues();
+    const difficulty = parseDifficulty(field("rr-difficulty").val());
+    const hiddenDifficulty = field("rr-hidden-difficulty").is(":checked");
+    const rollMode = field("rr-roll-mode").val();
+
+    const dice = buildDiceFromTray(values.total, values.special);
+    if (!dice) return;
+
+    const actor = actorFromChoice(actorSelect.val());
+    game.rolenroll.rollPool({
+      actor,
+      dice,
+      bonusSuccess: values.success,
+      bonusPenalty: values.penalty,
+      difficulty,
+      hiddenDifficulty,
+      ladder: field("rr-ladder").val(),
+      rollMode
+    });
+
+    // fill in the "Last roll" entry
+    await setTrayLastRoll(values);
+    refreshPresets();
+  });
+}
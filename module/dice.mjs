@@ -0,0 +1,328 @@
+// ===============================
+// Role&Roll Dice – faces, scoring & Foundry dice terms
+// ===============================
+
+// Foundry v12+ moved the dice classes under foundry.dice.*
+const { DiceTerm } = foundry.dice?.terms ?? globalThis;
+const BaseRoll = foundry.dice?.Roll ?? globalThis.Roll;
+
+// Keep value between min and max
+export function clamp(v, min, max) {
+  v = Number(v ?? 0);
+  if (Number.isNaN(v)) v = 0;
+  return Math.max(min, Math.min(max, v));
+}
+
+// Build the 6 faces for a single die configuration.
+// All dice start as: ["1", "", "", "", "", "R"]
+// kind = "normal" | "adv" | "neg"
+// adv: plusCount = 1..4   → "+" on that many blank faces
+// neg: minusCount = 1..4  → "-" on that many blank faces
+export function buildDieFaces(config = {}) {
+  const kind = config.kind ?? "normal";
+  const faces = ["1", "", "", "", "", "R"]; // index 0..5 (die sides 1..6)
+
+  if (kind === "adv") {
+    let plusCount = config.plusCount ?? 1;
+    plusCount = clamp(plusCount, 1, 4);
+    for (let i = 0; i < plusCount; i++) {
+      faces[1 + i] = "+"; // positions 2–5
+    }
+  } else if (kind === "neg") {
+    let minusCount = config.minusCount ?? 1;
+    minusCount = clamp(minusCount, 1, 4);
+    for (let i = 0; i < minusCount; i++) {
+      faces[1 + i] = "-"; // positions 2–5
+    }
+  }
+
+  return faces;
+}
+
+// Convert numeric d6 result (1–6) to face label
+export function faceForRoll(config, value) {
+  const faces = buildDieFaces(config);
+  const index = clamp(value, 1, 6) - 1;
+  return faces[index];
+}
+
+// Symbol shown for a face label (chat cards & dice tooltips)
+export function faceSymbol(f) {
+  if (f === "1") return "●";   // 1 point = dot
+  if (f === "R") return "Ⓡ";   // reroll symbol
+  if (f === "+") return "+";   // advantage
+  if (f === "-") return "−";   // negative
+  return "";                   // blank
+}
+
+// CSS class used for a face label
+export function faceCssClass(f) {
+  if (f === "1") return "role-roll-face-point";
+  if (f === "R") return "role-roll-face-reroll";
+  if (f === "+") return "role-roll-face-plus";
+  if (f === "-") return "role-roll-face-minus";
+  return "role-roll-face-blank";
+}
+
+// Render a single die face as a small square HTML block
+export function faceToDieHtml(f) {
+  const symbol = faceSymbol(f) || "&nbsp;";
+  return `<span class="role-roll-die ${faceCssClass(f)}">${symbol}</span>`;
+}
+
+// Score faces using the same rules as the web roller:
+// - "1" = 1 point
+// - "R" = 1 point + 1 reroll
+// - "+" / "-" only affect score if basePoints > 0
+// - blank = 0
+export function scoreFaces(faces) {
+  let basePoints = 0;
+  let plusCount = 0;
+  let minusCount = 0;
+  let rerollCount = 0;
+
+  for (const f of faces) {
+    if (f === "1") {
+      basePoints++;
+    } else if (f === "R") {
+      basePoints++;
+      rerollCount++;
+    } else if (f === "+") {
+      plusCount++;
+    } else if (f === "-") {
+      minusCount++;
+    }
+  }
+
+  let total = 0;
+  if (basePoints > 0) {
+    total = basePoints + plusCount - minusCount;
+    if (total < 0) total = 0; // no negative totals
+  }
+
+  return { basePoints, plusCount, minusCount, rerollCount, total };
+}
+
+// ----------------------------------------
+// Formula helpers
+// ----------------------------------------
+
+// Modifier suffix for one die config: "" | "a2" | "n1"
+function configModifier(config = {}) {
+  if (config.kind === "adv") return `a${clamp(config.plusCount ?? 1, 1, 4)}`;
+  if (config.kind === "neg") return `n${clamp(config.minusCount ?? 1, 1, 4)}`;
+  return "";
+}
+
+// Turn a list of die configs into a dice formula, e.g.
+// [normal, normal, adv 3, neg 2] → "2dr + 1dra3 + 1drn2"
+// Consecutive identical configs are grouped so the order of dice is kept.
+export function formulaForDice(dice = []) {
+  const groups = [];
+  for (const config of dice) {
+    const mod = configModifier(config);
+    const last = groups[groups.length - 1];
+    if (last && last.mod === mod) last.count++;
+    else groups.push({ mod, count: 1 });
+  }
+
+  return groups
+    .map(g => `${g.count}d${RolenrollDie.DENOMINATION}${g.mod}`)
+    .join(" + ");
+}
+
+// ----------------------------------------
+// Role&Roll die term: "dr"
+// ----------------------------------------
+// 5dr     → 5 normal dice
+// 2dra3   → 2 advantage dice with 3 "+" faces
+// 1drn2   → 1 negative die with 2 "-" faces
+// 5drr    → reroll every R face with the same die config
+export class RolenrollDie extends DiceTerm {
+  constructor(termData = {}) {
+    termData.faces = 6;
+    super(termData);
+  }
+
+  static DENOMINATION = "r";
+
+  static MODIFIERS = {
+    a: "advantage",
+    n: "negative",
+    r: "rerollOnR"
+  };
+
+  // Safety cap for reroll chains
+  static MAX_REROLLS = 100;
+
+  // Die config ({ kind, plusCount | minusCount }) read from the modifiers
+  get config() {
+    for (const m of this.modifiers) {
+      const match = String(m).match(/^([an])(\d*)$/i);
+      if (!match) continue;
+      const count = clamp(match[2] === "" ? 1 : parseInt(match[2], 10), 1, 4);
+      if (match[1].toLowerCase() === "a") return { kind: "adv", plusCount: count };
+      return { kind: "neg", minusCount: count };
+    }
+    return { kind: "normal" };
+  }
+
+  // Face labels of all active results
+  get faceLabels() {
+    const config = this.config;
+    return this.results
+      .filter(r => r.active)
+      .map(r => faceForRoll(config, r.result));
+  }
+
+  get total() {
+    if (!this._evaluated) return undefined;
+    return scoreFaces(this.faceLabels).total;
+  }
+
+  getResultLabel(result) {
+    return faceSymbol(faceForRoll(this.config, result.result));
+  }
+
+  getResultCSS(result) {
+    const css = super.getResultCSS(result);
+    css.push(faceCssClass(faceForRoll(this.config, result.result)));
+    return css;
+  }
+
+  // "a" / "n" only change which faces the die has, see `config`
+  advantage(modifier) {}
+
+  negative(modifier) {}
+
+  // Roll one more die of the same config for every R face.
+  // v11 rolls (and runs modifiers) synchronously, v12+ asynchronously:
+  // a pending roll continues the scan once it is done.
+  rerollOnR(modifier) {
+    const config = this.config;
+    let rerolls = 0;
+    let i = 0;
+
+    const scan = () => {
+      for (; i < this.results.length; i++) {
+        const r = this.results[i];
+        if (!r.active || r.exploded) continue;
+        if (faceForRoll(config, r.result) !== "R") continue;
+        if (rerolls >= this.constructor.MAX_REROLLS) return;
+
+        r.exploded = true;
+        rerolls++;
+        const rolled = this.roll();
+        if (rolled instanceof Promise) {
+          i++;
+          return rolled.then(scan);
+        }
+      }
+    };
+    return scan();
+  }
+}
+
+// ----------------------------------------
+// Role&Roll roll: scores all "dr" terms as ONE pool
+// ----------------------------------------
+// "+" / "-" faces only count when the whole pool has a base point, so
+// "3dr + 1dra2" cannot simply add up each term's total.
+export class RolenrollRoll extends BaseRoll {
+  // All Role&Roll dice terms in this roll
+  get poolTerms() {
+    return this.dice.filter(d => d instanceof RolenrollDie);
+  }
+
+  // Face labels of the whole pool, in formula order
+  get faceLabels() {
+    return this.poolTerms.flatMap(d => d.faceLabels);
+  }
+
+  _evaluateTotal() {
+    const pool = this.poolTerms;
+    if (!pool.length) return super._evaluateTotal();
+
+    // The first "dr" term carries the pool score, the others count 0,
+    // so flat numbers and operators around the pool still apply.
+    const score = scoreFaces(this.faceLabels).total;
+    let scored = false;
+    const expression = this.terms.map(t => {
+      if (!(t instanceof RolenrollDie)) return t.total;
+      if (scored) return 0;
+      scored = true;
+      return score;
+    }).join(" ");
+
+    const total = this.constructor.safeEval(expression);
+    if (!Number.isNumeric(total)) {
+      throw new Error(`Role&Roll: "${this.formula}" does not evaluate to a number.`);
+    }
+    return Math.max(0, total);
+  }
+}
+
+// Register the die term and make RolenrollRoll the default Roll class
+export function registerDice() {
+  CONFIG.Dice.terms[RolenrollDie.DENOMINATION] = RolenrollDie;
+  if (!CONFIG.Dice.rolls.includes(RolenrollRoll)) {
+    CONFIG.Dice.rolls.unshift(RolenrollRoll);
+  }
+}
+
+// ----------------------------------------
+// Scoring a whole interactive roll
+// ----------------------------------------
+
+// rounds = [[{ config, roll, face }, …], …]  (round 0 = first roll, then rerolls)
+// Returns everything the chat card shows, plus the raw scoreFaces result.
+export function scoreRounds(rounds, bonusSuccess = 0, bonusPenalty = 0) {
+  const baseFaces = rounds[0] ? rounds[0].map(r => r.face) : [];
+  const rerollFaces = rounds.slice(1).flat().map(r => r.face);
+  const allFaces = baseFaces.concat(rerollFaces);
+
+  const scoringBase = scoreFaces(allFaces);
+  const diceTotal = scoringBase.total;
+
+  const baseScore = baseFaces.reduce(
+    (s, f) => s + ((f === "1" || f === "R") ? 1 : 0),
+    0
+  );
+  const rerollPoints = rerollFaces.reduce(
+    (s, f) => s + ((f === "1" || f === "R") ? 1 : 0),
+    0
+  );
+  const plusTokens = allFaces.filter(f => f === "+").length;
+  const minusTokens = allFaces.filter(f => f === "-").length;
+  const rerollCount = allFaces.filter(f => f === "R").length;
+
+  let success = Number.isFinite(+bonusSuccess) ? +bonusSuccess : 0;
+  let penalty = Number.isFinite(+bonusPenalty) ? +bonusPenalty : 0;
+  if (success < 0) success = 0;
+  if (penalty < 0) penalty = 0;
+
+  let finalTotal = diceTotal + success - penalty;
+  if (finalTotal < 0) finalTotal = 0;
+
+  return {
+    ...scoringBase,
+    baseScore,
+    rerollPoints,
+    plusTokens,
+    minusTokens,
+    rerollCount,
+    success,
+    penalty,
+    diceTotal,
+    finalTotal
+  };
+}
+
+// Compare a final total against a difficulty (target number).
+// Reaching the difficulty is a success; margin = finalTotal - difficulty.
+// Returns null when there is no difficulty.
+export function checkDifficulty(finalTotal, difficulty) {
+  if (difficulty === null || difficulty === undefined) return null;
+  const margin = finalTotal - difficulty;
+  return { passed: margin >= 0, margin };
+}
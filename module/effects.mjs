@@ -0,0 +1,131 @@
+// ===============================
+// Role&Roll active effects – changed values & roll modifiers
+// ===============================
+// Active Effects on an actor, or on its items (transferred while the item is
+// owned), change the actor's prepared data. Useful change keys:
+//   system.attributes.<key>.value              attribute rating
+//   system.skills.<group>.<key>.value          skill rating
+//   system.defense, system.hpMax, system.wpMax
+//   system.rollModifiers.<target>.<effect>     roll modifier (mode Add), e.g.
+//     system.rollModifiers.skill.academic.medicine.success = 1
+//     system.rollModifiers.tag.attack.dice = 2
+//   (targets & effects as for item modifiers, see modifiers.mjs)
+// The stored (base) values stay in actor._source; sheets show both and
+// every roll reads the effective values from actor.system.
+
+import { systemPath, handlebars } from "./config.mjs";
+
+export const ROLL_MODIFIER_PREFIX = "system.rollModifiers.";
+
+const DEFAULT_EFFECT_IMG = "icons/svg/aura.svg";
+
+// Called from the init hook
+export function configureActiveEffects() {
+  // item effects apply to their owner directly instead of being copied (v11+)
+  CONFIG.ActiveEffect.legacyTransferral = false;
+}
+
+// Partial listing the effects of an actor or item
+export function preloadEffectTemplates() {
+  return handlebars.loadTemplates([systemPath("templates/effects-list.hbs")]);
+}
+
+// ----------------------------------------
+// Base vs effective values
+// ----------------------------------------
+
+// { base, value, changed, overridden } of one path ("system.hpMax").
+// overridden: an effect sets it, so the sheet's form must not write it.
+export function effectiveValue(actor, path) {
+  const base = Number(foundry.utils.getProperty(actor._source, path)) || 0;
+  const value = Number(foundry.utils.getProperty(actor, path)) || 0;
+  return {
+    base,
+    value,
+    changed: base !== value,
+    overridden: foundry.utils.hasProperty(actor.overrides ?? {}, path)
+  };
+}
+
+// Effects that currently change an actor (its own and its items')
+export function appliedEffects(actor) {
+  return [...(actor?.appliedEffects ?? actor?.effects?.filter(e => e.active) ?? [])];
+}
+
+// ----------------------------------------
+// Effect lists on sheets
+// ----------------------------------------
+
+const MODE_SYMBOLS = { 1: "×", 2: "+", 3: "≤", 4: "≥", 5: "=" };
+
+// "attributes.strength.value +1, hpMax +2"
+export function effectSummary(effect) {
+  return (effect.changes ?? []).map(change => {
+    const key = String(change.key).replace(/^system\./, "");
+    const value = String(change.value).trim();
+    // Add with a negative value reads "-1", not "+-1"
+    const symbol = (MODE_SYMBOLS[change.mode] === "+" && value.startsWith("-")) ? "" : (MODE_SYMBOLS[change.mode] ?? "");
+    return `${key} ${symbol}${value}`;
+  }).join(", ");
+}
+
+// Rows for templates/effects-list.hbs: an actor lists its own effects and
+// those of its items, an item only its own
+export function effectsContext(document) {
+  const effects = document.documentName === "Actor" && document.allApplicableEffects
+    ? [...document.allApplicableEffects()]
+    : [...document.effects];
+
+  return effects.map(effect => ({
+    uuid: effect.uuid,
+    name: effect.name,
+    img: effect.img ?? effect.icon ?? DEFAULT_EFFECT_IMG,
+    source: effect.parent !== document ? effect.parent?.name : "",
+    summary: effectSummary(effect),
+    disabled: effect.disabled,
+    temporary: effect.isTemporary
+  }));
+}
+
+// Add / edit / toggle / delete buttons of the effects list
+export function activateEffectListeners(html, document) {
+  const effectOf = (ev) => fromUuidSync(ev.currentTarget.closest(".rr-effect").dataset.effectUuid);
+
+  html.find(".rr-effect-edit").on("click", (ev) => {
+    ev.preventDefault();
+    effectOf(ev)?.sheet.render(true);
+  });
+
+  if (!document.isOwner) return;
+
+  html.find(".rr-effect-toggle").on("click", (ev) => {
+    ev.preventDefault();
+    const effect = effectOf(ev);
+    effect?.update({ disabled: !effect.disabled });
+  });
+
+  html.find(".rr-effect-delete").on("click", async (ev) => {
+    ev.preventDefault();
+    const effect = effectOf(ev);
+    if (!effect) return;
+    const escape = (text) => foundry.utils.escapeHTML?.(text) ?? text;
+    const confirmed = await Dialog.confirm({
+      title: "Delete effect",
+      content: `<p>Delete "${escape(effect.name)}" from ${escape(effect.parent.name)}?</p>`
+    });
+    if (confirmed) effect.delete();
+  });
+
+  html.find(".rr-effect-create").on("click", async (ev) => {
+    ev.preventDefault();
+    // v12 renamed ActiveEffect#icon to img
+    const imgKey = (game.release?.generation ?? 11) >= 12 ? "img" : "icon";
+    const [effect] = await document.createEmbeddedDocuments("ActiveEffect", [{
+      name: "New effect",
+      [imgKey]: DEFAULT_EFFECT_IMG,
+      origin: document.uuid,
+      transfer: document.documentName === "Item"
+    }]);
+    effect?.sheet.render(true);
+  });
+}
@@ -0,0 +1,94 @@
+// ===============================
+// Role&Roll text enrichers – clickable pools in journals & chat
+// ===============================
+// [[/rr 5 a1]]                     → button rolling "/rr 5 a1"
+// [[/rr search vs 2]]{Look around} → same, with a custom label
+// @RRCheck[search|difficulty=2]    → the clicking user's character rolls Search vs 2
+// @RRCheck[str|hidden|difficulty=3|ladder=combat|a1]{Force the door}
+//
+// The button keeps the original text as its tooltip. Clicking runs the same
+// code as typing the command into chat, so results are normal roll cards.
+
+import { executeRrCommand } from "./chat-command.mjs";
+import { findCheck, checkLabel } from "./checks.mjs";
+import { resolveRollActor } from "./speaker.mjs";
+
+const INLINE_PATTERN = /\[\[\/rr(?:\s+([^\]]*?))?\s*\]\](?:\{([^}]+)\})?/gi;
+const CHECK_PATTERN = /@RRCheck\[([^\]]+)\](?:\{([^}]+)\})?/gi;
+
+// Internal: the button element shared by both enrichers
+function _enricherButton({ command, label, source, check = false }) {
+  const a = document.createElement("a");
+  a.classList.add("rr-enricher");
+  a.dataset.rrCommand = command;
+  if (check) a.dataset.rrCheck = "true";
+  a.title = source;
+  a.innerHTML = `<i class="fas fa-dice"></i> `;
+  a.append(label);
+  return a;
+}
+
+// [[/rr …]]{label}
+function _enrichInlineRoll(match) {
+  const [source, args = "", label] = match;
+  const command = `/rr ${args}`.trim();
+  return _enricherButton({
+    command,
+    label: label ?? (command === "/rr" ? "Role&Roll" : args),
+    source
+  });
+}
+
+// @RRCheck[name|difficulty=N|hidden|ladder=id|a1 …]{label}
+// Turned into a /rr command: "/rr <name> vs N hidden ladder=id a1"
+function _enrichCheck(match) {
+  const [source, inner, label] = match;
+  const [name, ...params] = inner.split("|").map(s => s.trim());
+
+  // check names are matched without spaces ("General Education" → "GeneralEducation")
+  const args = [name.replace(/\s+/g, "")];
+  let difficulty = null;
+  for (const param of params) {
+    const m = param.match(/^(?:difficulty|dc)\s*=\s*(\d+)$/i);
+    if (m) {
+      difficulty = m[1];
+      args.push("vs", m[1]);
+    } else if (param) {
+      args.push(param.replace(/\s+/g, ""));
+    }
+  }
+
+  const check = findCheck(name);
+  const text = label ?? `${check ? checkLabel(check) : name}${difficulty !== null ? ` (vs ${difficulty})` : ""}`;
+
+  return _enricherButton({ command: `/rr ${args.join(" ")}`, label: text, source, check: true });
+}
+
+// Click on an enriched button anywhere (journals, chat, item descriptions…)
+function _onClickEnricher(ev) {
+  ev.preventDefault();
+  const a = ev.currentTarget;
+
+  // named checks roll the clicking user's own character; GMs without one
+  // fall back to the usual speaker (controlled token)
+  const actor = a.dataset.rrCheck
+    ? game.user.character ?? resolveRollActor()
+    : resolveRollActor();
+
+  executeRrCommand(a.dataset.rrCommand, { actor }).catch(err => {
+    console.error(`Role&Roll | ${a.dataset.rrCommand} failed`, err);
+    ui.notifications.error(`Role&Roll: The roll failed: ${err.message}`);
+  });
+}
+
+// Called from the init hook
+export function registerEnrichers() {
+  // Core inline rolls leave [[/rr …]] as text (neither a formula nor a core
+  // command); ours go first so no other [[…]] enricher claims it.
+  CONFIG.TextEditor.enrichers.unshift(
+    { pattern: INLINE_PATTERN, enricher: async (match) => _enrichInlineRoll(match) },
+    { pattern: CHECK_PATTERN, enricher: async (match) => _enrichCheck(match) }
+  );
+
+  $(document).on("click", "a.rr-enricher", _onClickEnricher);
+}
@@ -0,0 +1,443 @@
+// ===============================
+// Role&Roll group checks – "everyone roll Search"
+// ===============================
+// The GM posts a request card naming a check, an optional difficulty and the
+// actors who should roll. The request card is always public, so every owner
+// gets a Roll button per actor; the roll mode applies to the members' rolls.
+// Every roll is a normal roll card linked back to the request, and the
+// request card's author fills in the results as the rolls come in.
+// What players may not see stays out of the request card's flags:
+//   - a hidden difficulty lives in a GM-only companion (hidden-difficulty.mjs)
+//   - totals of non-public rolls are only read from the roll cards a client
+//     received; verdicts are worked out when the card is rendered
+
+import { SYSTEM_ID, systemPath, handlebars } from "./config.mjs";
+import { getRollData } from "./roll-card.mjs";
+import { getHiddenDifficulty, storeHiddenDifficulty } from "./hidden-difficulty.mjs";
+import { rollRolenrollPool, rollModeSelectHtml } from "./roll-pool.mjs";
+import { checkPool, checkChoices, checkFromString, checkLabel, normalDice } from "./checks.mjs";
+import { gatherModifiers, applyModifiers } from "./modifiers.mjs";
+import { parseDifficulty } from "./pool-input.mjs";
+import { ladderIdForCheck } from "./ladders.mjs";
+import { getSetting } from "./settings.mjs";
+
+export const GROUP_CHECK_TEMPLATE = systemPath("templates/group-check-card.hbs");
+
+// ----------------------------------------
+// Flag data
+// ----------------------------------------
+// message.flags.rolenroll_test.groupCheck (on the request card):
+// {
+//   status:   "open" | "closed"
+//   check, label,
+//   difficulty: number | null (null when hidden), hiddenDifficulty,
+//   rule:     "half" | "majority" | "all" | "any"
+//   entries:  [{ actorUuid, name, messageId, finished, finalTotal }, …]
+//             (finalTotal only for public rolls)
+//   rollMode: roll mode of the members' rolls
+// }
+// message.flags.rolenroll_test.groupCheckRoll (on each member's roll card):
+//   { messageId, actorUuid }   → the request card and entry it belongs to
+
+export function getGroupCheckData(message) {
+  return message?.getFlag?.(SYSTEM_ID, "groupCheck") ?? null;
+}
+
+const RULE_TEXT = {
+  half: "at least half must succeed",
+  majority: "more than half must succeed",
+  all: "everyone must succeed",
+  any: "one success is enough"
+};
+
+// Did the group succeed? null while there is no difficulty or nobody rolled
+export function groupSucceeded(rule, passed, count) {
+  if (!count) return null;
+  if (rule === "all") return passed === count;
+  if (rule === "any") return passed > 0;
+  if (rule === "majority") return passed > count / 2;
+  return passed >= count / 2;
+}
+
+// Best / worst / passed over the entries whose total this client knows
+function _summary(data, entries) {
+  const rolled = entries.filter(e => e.hasTotal);
+  if (!rolled.length) return null;
+
+  const best = rolled.reduce((a, b) => (b.finalTotal > a.finalTotal ? b : a));
+  const worst = rolled.reduce((a, b) => (b.finalTotal < a.finalTotal ? b : a));
+  const hasDifficulty = data.difficulty !== null && data.difficulty !== undefined;
+  const passed = hasDifficulty ? rolled.filter(e => e.passed).length : null;
+
+  return {
+    rolled: rolled.length,
+    best: { name: best.name, total: best.finalTotal },
+    worst: { name: worst.name, total: worst.finalTotal },
+    passed,
+    success: hasDifficulty ? groupSucceeded(data.rule, passed, rolled.length) : null
+  };
+}
+
+// ----------------------------------------
+// Chat card
+// ----------------------------------------
+
+// Internal: total of an entry as this client knows it: from its roll card
+// when this client received that card, else from the request card's flags.
+// user null (the stored content) only uses the flags.
+function _entryTotal(entry, user) {
+  const message = user && entry.messageId ? game.messages.get(entry.messageId) : null;
+  if (message && (!message.blind || user.isGM)) {
+    const roll = getRollData(message);
+    if (roll?.status === "final") return roll.scoring.finalTotal;
+  }
+  return entry.finalTotal ?? null;
+}
+
+function groupCheckCardContext(data, { user = game.user } = {}) {
+  const isOpen = data.status !== "closed";
+  const showDifficulty = data.difficulty !== null && data.difficulty !== undefined;
+  const hasDifficulty = showDifficulty || !!data.hiddenDifficulty;
+
+  const entries = data.entries.map(entry => {
+    const finalTotal = _entryTotal(entry, user);
+    const hasTotal = finalTotal !== null;
+    const passed = showDifficulty && hasTotal ? finalTotal >= data.difficulty : null;
+    return {
+      ...entry,
+      finalTotal,
+      hasTotal,
+      passed,
+      isDone: !hasTotal && !!entry.finished,
+      isRolling: !hasTotal && !entry.finished && !!entry.messageId,
+      canRoll: isOpen && !entry.messageId,
+      verdictClass: passed === null ? "" : (passed ? "role-roll-success" : "role-roll-failure")
+    };
+  });
+  // no summary from a part of the results (e.g. players on a GM roll)
+  const allKnown = entries.every(e => e.hasTotal || !e.finished);
+  const summary = allKnown ? _summary(data, entries) : null;
+
+  return {
+    ...data,
+    isOpen,
+    isComplete: !isOpen || entries.every(e => e.hasTotal || e.finished),
+    hasDifficulty,
+    showDifficulty,
+    entries,
+    summary,
+    ruleText: RULE_TEXT[data.rule] ?? "",
+    showGroupResult: showDifficulty && summary?.success !== null && summary?.success !== undefined,
+    groupResultText: summary?.success ? "Group success" : "Group failure",
+    groupResultClass: summary?.success ? "role-roll-success" : "role-roll-failure"
+  };
+}
+
+export async function renderGroupCheckCard(data, { user = game.user } = {}) {
+  return handlebars.renderTemplate(GROUP_CHECK_TEMPLATE, groupCheckCardContext(data, { user }));
+}
+
+// GM clients: the request with its hidden difficulty filled in
+function _withHiddenDifficulty(message, data) {
+  if (!data.hiddenDifficulty) return data;
+  const difficulty = getHiddenDifficulty(message);
+  return difficulty === null ? data : { ...data, difficulty };
+}
+
+// Re-render for this client; Roll buttons stay only for the actors this
+// user owns, Close only for the GM.
+export async function onRenderGroupCheckMessage(message, html) {
+  const data = getGroupCheckData(message);
+  if (!data) return;
+
+  const content = html.find(".message-content");
+  content.html(await renderGroupCheckCard(_withHiddenDifficulty(message, data)));
+
+  content.find("[data-action='rr-group-roll']").each((_, btn) => {
+    const actor = fromUuidSync(btn.dataset.actorUuid);
+    if (!actor?.isOwner) btn.remove();
+  });
+  if (!game.user.isGM) content.find("[data-action='rr-group-close']").remove();
+
+  content.find("[data-action='rr-group-roll']").on("click", (ev) => {
+    ev.preventDefault();
+    ev.currentTarget.disabled = true;
+    rollGroupCheckEntry(message, ev.currentTarget.dataset.actorUuid);
+  });
+  content.find("[data-action='rr-group-close']").on("click", (ev) => {
+    ev.preventDefault();
+    closeGroupCheck(message);
+  });
+}
+
+// ----------------------------------------
+// Rolling & collecting results
+// ----------------------------------------
+
+// Entries being rolled on this client (stops double clicks)
+const _rolling = new Set();
+
+// An owner rolls one actor of the request with the sheet's pool rules
+export async function rollGroupCheckEntry(message, actorUuid) {
+  const data = getGroupCheckData(message);
+  const entry = data?.entries.find(e => e.actorUuid === actorUuid);
+  if (!entry || data.status === "closed") return null;
+
+  const key = `${message.id}.${actorUuid}`;
+  if (entry.messageId || _rolling.has(key)) {
+    ui.notifications.warn(`Role&Roll: ${entry.name} has already rolled.`);
+    return null;
+  }
+
+  const actor = fromUuidSync(actorUuid);
+  if (!actor?.isOwner) {
+    ui.notifications.warn(`Role&Roll: You do not own ${entry.name}.`);
+    return null;
+  }
+
+  const { baseDice, baseSuccess } = checkPool(actor, data.check);
+  const pool = applyModifiers({ dice: normalDice(baseDice), bonusSuccess: baseSuccess }, gatherModifiers(actor, data.check));
+  if (!pool.dice.length) {
+    ui.notifications.warn(`Role&Roll: ${actor.name}'s ${data.label} has 0 dice.`);
+    return null;
+  }
+
+  _rolling.add(key);
+  try {
+    // a hidden difficulty is not in the request's flags, so it stays off
+    // the members' roll cards; GM clients judge them on the request card
+    return await rollRolenrollPool({
+      actor,
+      dice: pool.dice,
+      bonusSuccess: pool.bonusSuccess,
+      bonusPenalty: pool.bonusPenalty,
+      difficulty: data.difficulty,
+      ladder: ladderIdForCheck(data.check),
+      rollMode: data.rollMode,
+      modifiers: pool.modifiers,
+      flags: { groupCheckRoll: { messageId: message.id, actorUuid } }
+    });
+  } finally {
+    _rolling.delete(key);
+  }
+}
+
+// Per request card: updates run one after another so entries are not lost
+const _queues = new Map();
+
+// Internal: write one roll card's result onto its request card
+async function _recordRoll(requestMessage, rollMessage) {
+  const data = getGroupCheckData(requestMessage);
+  const link = rollMessage.getFlag(SYSTEM_ID, "groupCheckRoll");
+  const roll = getRollData(rollMessage);
+  if (!data || !link || !roll) return;
+
+  const final = roll.status === "final";
+  // totals of gm / blind / self rolls stay on their own (whispered) cards
+  const isPublic = (data.rollMode ?? "publicroll") === "publicroll";
+  const entries = data.entries.map(entry => {
+    if (entry.actorUuid !== link.actorUuid) return entry;
+    // the first roll card for an actor counts
+    if (entry.messageId && entry.messageId !== rollMessage.id) return entry;
+    return {
+      ...entry,
+      messageId: rollMessage.id,
+      finished: final,
+      finalTotal: final && isPublic ? roll.scoring.finalTotal : null
+    };
+  });
+
+  const groupCheck = { ...data, entries };
+  await requestMessage.update({
+    content: await renderGroupCheckCard(groupCheck, { user: null }),
+    [`flags.${SYSTEM_ID}.groupCheck`]: groupCheck
+  });
+}
+
+// createChatMessage / updateChatMessage: a member's roll card changed.
+// Only the request card's author records it, so updates do not collide.
+export function onGroupCheckRollMessage(rollMessage) {
+  const link = rollMessage.getFlag?.(SYSTEM_ID, "groupCheckRoll");
+  if (!link) return;
+
+  const requestMessage = game.messages.get(link.messageId);
+  if (!requestMessage?.isAuthor || getGroupCheckData(requestMessage)?.status === "closed") return;
+
+  const previous = _queues.get(requestMessage.id) ?? Promise.resolve();
+  const next = previous.then(() => _recordRoll(requestMessage, rollMessage)).catch(err => console.error(err));
+  _queues.set(requestMessage.id, next);
+}
+
+// GM: stop taking rolls; the summary covers whoever has rolled
+export async function closeGroupCheck(message) {
+  const data = getGroupCheckData(message);
+  if (!data || data.status === "closed" || !game.user.isGM) return;
+
+  const groupCheck = { ...data, status: "closed" };
+  await message.update({
+    content: await renderGroupCheckCard(groupCheck, { user: null }),
+    [`flags.${SYSTEM_ID}.groupCheck`]: groupCheck
+  });
+}
+
+// ----------------------------------------
+// Public API
+// ----------------------------------------
+
+// GM: post a request card.
+// check: { type: "attribute", key } | { type: "skill", group, key }
+export async function requestGroupCheck({
+  check,
+  actors = [],
+  difficulty = null,
+  hiddenDifficulty = false,
+  rule = getSetting("groupCheckRule"),
+  rollMode = "publicroll"
+} = {}) {
+  if (!game.user.isGM) {
+    ui.notifications.warn("Role&Roll: Only the GM can request a group check.");
+    return null;
+  }
+  if (!check || !actors.length) {
+    ui.notifications.warn("Role&Roll: A group check needs a check and at least one actor.");
+    return null;
+  }
+
+  difficulty = parseDifficulty(difficulty);
+  hiddenDifficulty = difficulty !== null && !!hiddenDifficulty;
+
+  const groupCheck = {
+    status: "open",
+    check,
+    label: checkLabel(check),
+    difficulty: hiddenDifficulty ? null : difficulty,
+    hiddenDifficulty,
+    rule,
+    entries: actors.map(actor => ({
+      actorUuid: actor.uuid,
+      name: actor.name,
+      messageId: null,
+      finished: false,
+      finalTotal: null
+    })),
+    rollMode
+  };
+
+  // public, so every member sees their Roll button whatever the roll mode
+  const message = await ChatMessage.create({
+    user: game.user.id,
+    speaker: ChatMessage.getSpeaker({ user: game.user }),
+    content: await renderGroupCheckCard(groupCheck, { user: null }),
+    flags: { [SYSTEM_ID]: { groupCheck } }
+  });
+  if (message && hiddenDifficulty) await storeHiddenDifficulty(message, difficulty);
+  return message;
+}
+
+// Actors that can be asked: controlled tokens, then player-owned actors
+function _groupCandidates() {
+  const candidates = [];
+  const seen = new Set();
+  const add = (actor, checked) => {
+    if (!actor || seen.has(actor.uuid)) return;
+    seen.add(actor.uuid);
+    candidates.push({ actor, checked });
+  };
+
+  const controlled = (canvas?.tokens?.controlled ?? []).map(t => t.actor).filter(Boolean);
+  for (const actor of controlled) add(actor, true);
+
+  const players = game.actors.filter(actor => actor.hasPlayerOwner);
+  for (const actor of players) add(actor, !controlled.length);
+
+  return candidates;
+}
+
+// GM dialog: check, difficulty, rule and who rolls
+export function openGroupCheckDialog() {
+  if (!game.user.isGM) {
+    ui.notifications.warn("Role&Roll: Only the GM can request a group check.");
+    return;
+  }
+
+  const candidates = _groupCandidates();
+  if (!candidates.length) {
+    ui.notifications.warn("Role&Roll: Select tokens or give players characters first.");
+    return;
+  }
+
+  let checkOptions = "";
+  let group = null;
+  for (const choice of checkChoices()) {
+    if (choice.group !== group) {
+      if (group !== null) checkOptions += "</optgroup>";
+      group = choice.group;
+      checkOptions += `<optgroup label="${group}">`;
+    }
+    checkOptions += `<option value="${choice.value}">${choice.label}</option>`;
+  }
+  checkOptions += "</optgroup>";
+
+  const rule = getSetting("groupCheckRule");
+  const ruleOptions = Object.entries(RULE_TEXT)
+    .map(([key, text]) => `<option value="${key}" ${key === rule ? "selected" : ""}>${text}</option>`)
+    .join("");
+
+  const actorRows = candidates.map(({ actor, checked }) => `
+  <label class="rr-group-actor">
+    <input type="checkbox" name="actor" value="${actor.uuid}" ${checked ? "checked" : ""}/> ${foundry.utils.escapeHTML?.(actor.name) ?? actor.name}
+  </label>`).join("");
+
+  const content = `
+<form class="rr-group-check-form">
+  <div class="form-group">
+    <label>Check:</label>
+    <select name="check">${checkOptions}</select>
+  </div>
+  <div class="form-group">
+    <label>Difficulty:</label>
+    <input type="number" name="difficulty" value="" min="0" placeholder="none"/>
+  </div>
+  <div class="form-group">
+    <label>Hide difficulty:</label>
+    <input type="checkbox" name="hiddenDifficulty"/>
+  </div>
+  <div class="form-group">
+    <label>Group success:</label>
+    <select name="rule">${ruleOptions}</select>
+  </div>
+  <div class="form-group">
+    <label>Roll mode:</label>
+    ${rollModeSelectHtml("rollMode", "publicroll")}
+  </div>
+  <div class="rr-group-actors">${actorRows}</div>
+</form>
+`;
+
+  new Dialog({
+    title: "Role&Roll – Group check",
+    content,
+    buttons: {
+      request: {
+        icon: '<i class="fas fa-users"></i>',
+        label: "Request",
+        callback: (htmlDlg) => {
+          const form = htmlDlg[0].querySelector("form");
+          if (!form) return;
+
+          const chosen = Array.from(form.querySelectorAll('[name="actor"]:checked')).map(el => el.value);
+          requestGroupCheck({
+            check: checkFromString(form.check.value),
+            actors: candidates.map(c => c.actor).filter(a => chosen.includes(a.uuid)),
+            difficulty: form.difficulty.value,
+            hiddenDifficulty: form.hiddenDifficulty.checked,
+            rule: form.rule.value,
+            rollMode: form.rollMode.value
+          });
+        }
+      },
+      cancel: { label: "Cancel" }
+    },
+    default: "request"
+  }).render(true);
+}
@@ -0,0 +1,94 @@
+// ===============================
+// Role&Roll hidden difficulties – kept off the cards players receive
+// ===============================
+// Every client receives a card's flags, so a hidden difficulty is never
+// stored on the card itself: the card only says hiddenDifficulty: true.
+// The difficulty goes into a companion message whispered to the GMs:
+//   flags.rolenroll_test.hiddenDifficulty = { messageId, difficulty }
+// Players never receive that message; GM clients read it back to show the
+// difficulty and the verdict on the card. Whoever rolls asks the GM over
+// the socket to post the companion, so players can roll against a hidden
+// difficulty too (e.g. from a GM's @RRCheck[…|hidden] button).
+
+import { SYSTEM_ID } from "./config.mjs";
+import { parseDifficulty } from "./pool-input.mjs";
+import { registerSocketHandler, requestGM } from "./socket.mjs";
+
+const FLAG = "hiddenDifficulty";
+
+// card id → companion message id (filled lazily, GM clients only)
+const _companions = new Map();
+let _indexed = false;
+
+// Internal: remember a companion message
+function _index(message) {
+  const secret = message.getFlag?.(SYSTEM_ID, FLAG);
+  if (secret?.messageId) _companions.set(secret.messageId, message.id);
+}
+
+// Hidden difficulty of a card, or null (always null for players)
+export function getHiddenDifficulty(message) {
+  if (!game.user.isGM || !message) return null;
+  if (!_indexed) {
+    for (const m of game.messages) _index(m);
+    _indexed = true;
+  }
+  const companion = game.messages.get(_companions.get(message.id));
+  return companion?.getFlag(SYSTEM_ID, FLAG)?.difficulty ?? null;
+}
+
+// Internal: the flags of a card with a hidden difficulty, or null
+function _hiddenCard(message) {
+  const flags = message?.flags?.[SYSTEM_ID] ?? {};
+  const card = flags.roll ?? flags.groupCheck;
+  return card?.hiddenDifficulty ? card : null;
+}
+
+// Post the companion of a card (GM only), once per card.
+// Returns whether a companion was posted.
+export async function createHiddenDifficultyMessage(message, difficulty) {
+  const card = _hiddenCard(message);
+  difficulty = parseDifficulty(difficulty);
+  if (!game.user.isGM || !card || difficulty === null) return false;
+  if (getHiddenDifficulty(message) !== null) return false;
+
+  const author = message.author ?? message.user;
+  await ChatMessage.create({
+    user: game.user.id,
+    speaker: ChatMessage.getSpeaker({ user: game.user }),
+    whisper: ChatMessage.getWhisperRecipients("GM").map(u => u.id),
+    content: `<div class="role-roll-chat"><i class="fas fa-eye-slash"></i> Hidden difficulty ${difficulty} for ${card.label ?? "the roll"} (${author?.name ?? "unknown"}).</div>`,
+    flags: { [SYSTEM_ID]: { [FLAG]: { messageId: message.id, difficulty } } }
+  });
+  return true;
+}
+
+// Internal: the active GM posts the companion of a card.
+// Only the card's author (or a GM) may, and only for a card that says its
+// difficulty is hidden.
+async function _storeHiddenDifficulty({ messageId, difficulty }, userId) {
+  const message = game.messages.get(messageId);
+  const user = game.users.get(userId);
+  if (!message || !user) return;
+
+  const author = message.author ?? message.user;
+  if (!user.isGM && author?.id !== user.id) return;
+
+  await createHiddenDifficultyMessage(message, difficulty);
+}
+
+registerSocketHandler("storeHiddenDifficulty", _storeHiddenDifficulty);
+
+// Hand a card's hidden difficulty to the GMs (right after posting the card)
+export function storeHiddenDifficulty(message, difficulty) {
+  return requestGM("storeHiddenDifficulty", { messageId: message.id, difficulty });
+}
+
+// createChatMessage: a new companion re-renders its card for the GM
+export function onHiddenDifficultyMessage(message) {
+  const secret = message.getFlag?.(SYSTEM_ID, FLAG);
+  if (!secret || !game.user.isGM) return;
+  _index(message);
+  const card = game.messages.get(secret.messageId);
+  if (card) ui.chat?.updateMessage?.(card);
+}
@@ -0,0 +1,131 @@
+// ===============================
+// Role&Roll item sheets – weapon, armor, gear, ability
+// ===============================
+// One sheet class; each item type has its own template
+// (templates/item-<type>-sheet.hbs) around the shared header, modifiers,
+// active effects (applied to the owner) and description.
+
+import { systemPath, handlebars } from "./config.mjs";
+import { checkChoices } from "./checks.mjs";
+import { MODIFIER_EFFECTS, modifierTargetChoices } from "./modifiers.mjs";
+import { effectsContext, activateEffectListeners } from "./effects.mjs";
+
+// Foundry v13 moved TextEditor under foundry.applications.ux
+const TextEditorImpl = foundry.applications?.ux?.TextEditor?.implementation ?? globalThis.TextEditor;
+
+export const ITEM_TYPE_LABELS = {
+  weapon: "Weapon",
+  armor: "Armor",
+  gear: "Gear",
+  ability: "Ability"
+};
+
+// Partials shared by the item templates
+export function preloadItemTemplates() {
+  return handlebars.loadTemplates([
+    systemPath("templates/item-header.hbs"),
+    systemPath("templates/item-modifiers.hbs"),
+    systemPath("templates/item-description.hbs")
+  ]);
+}
+
+// Section titles of the actor sheet's Inventory tab
+export const ITEM_SECTION_LABELS = {
+  weapon: "Weapons",
+  armor: "Armor",
+  gear: "Gear",
+  ability: "Abilities"
+};
+
+// One-line summary shown in item lists, e.g. "Damage 3, melee, a1"
+export function itemSummary(item) {
+  const system = item.system;
+  switch (item.type) {
+    case "weapon":
+      return [`Damage ${system.damage}`, system.range, system.special].filter(Boolean).join(", ");
+    case "armor":
+      return `Defense ${system.defense}`;
+    case "gear":
+      return `×${system.quantity}`;
+    case "ability":
+      return system.wpCost ? `WP ${system.wpCost}` : "";
+    default:
+      return "";
+  }
+}
+
+export class RolenrollItemSheet extends ItemSheet {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      classes: ["rolenroll", "sheet", "item"],
+      width: 460,
+      height: 400
+    });
+  }
+
+  get template() {
+    return systemPath(`templates/item-${this.item.type}-sheet.hbs`);
+  }
+
+  async getData(options = {}) {
+    const context = await super.getData(options);
+    context.system = this.item.system;
+    context.typeLabel = ITEM_TYPE_LABELS[this.item.type] ?? this.item.type;
+    context.descriptionHTML = await TextEditorImpl.enrichHTML(this.item.system.description, {
+      async: true,
+      secrets: this.item.isOwner,
+      relativeTo: this.item
+    });
+
+    // weapons: the pool they attack with
+    if (this.item.type === "weapon") {
+      context.checks = checkChoices().map(choice => ({
+        ...choice,
+        selected: choice.value === this.item.system.check
+      }));
+    }
+
+    // roll modifiers: one row per modifier, with its own selects
+    const targets = modifierTargetChoices();
+    context.modifiers = this.item.system.modifiers.map(mod => ({
+      ...mod,
+      targets: targets.map(choice => ({ ...choice, selected: choice.value === mod.target })),
+      effects: Object.entries(MODIFIER_EFFECTS).map(([value, label]) => ({ value, label, selected: value === mod.effect }))
+    }));
+
+    context.effects = effectsContext(this.item);
+    return context;
+  }
+
+  // Modifier rows are named system.modifiers.<index>.<field>; send them as an array
+  _getSubmitData(updateData = {}) {
+    const data = foundry.utils.expandObject(super._getSubmitData(updateData));
+    if (data.system?.modifiers) {
+      data.system.modifiers = Object.entries(data.system.modifiers)
+        .sort(([a], [b]) => Number(a) - Number(b))
+        .map(([, mod]) => mod);
+    }
+    return data;
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+    const item = this.item;
+    activateEffectListeners(html, item);
+    if (!this.isEditable) return;
+
+    html.find(".rr-modifier-add").on("click", (ev) => {
+      ev.preventDefault();
+      const modifiers = item.toObject().system.modifiers;
+      modifiers.push({ target: "all", effect: "success", value: 1 });
+      item.update({ "system.modifiers": modifiers });
+    });
+
+    html.find(".rr-modifier-delete").on("click", (ev) => {
+      ev.preventDefault();
+      const index = Number(ev.currentTarget.dataset.index);
+      const modifiers = item.toObject().system.modifiers.filter((_, i) => i !== index);
+      item.update({ "system.modifiers": modifiers });
+    });
+  }
+}
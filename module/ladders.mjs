@@ -0,0 +1,242 @@
+// ===============================
+// Role&Roll outcome ladders – final total → named result tier
+// ===============================
+// A ladder is a list of tiers, each reached from a minimum final total:
+//   { name: "Standard", tiers: [{ min: 0, label: "Failure", description }, …] }
+// Ladders live in the world setting "outcomeLadders" (id → ladder).
+// "defaultLadder" names the one used when a roll does not pick one,
+// "checkLadders" overrides it per check ("skill.academic.art" → id).
+
+import { SYSTEM_ID, systemPath } from "./config.mjs";
+import { checkChoices, checkToString } from "./checks.mjs";
+
+export const DEFAULT_LADDERS = {
+  standard: {
+    name: "Standard",
+    tiers: [
+      { min: 0, label: "Failure", description: "It does not work, and the situation gets worse." },
+      { min: 1, label: "Partial success", description: "It works, but with a cost, a complication or only in part." },
+      { min: 3, label: "Full success", description: "It works as intended." },
+      { min: 5, label: "Exceptional success", description: "It works better than hoped, with an extra benefit." }
+    ]
+  }
+};
+
+// Picker value for "no ladder"
+export const NO_LADDER = "none";
+
+// ----------------------------------------
+// Reading ladders
+// ----------------------------------------
+
+export function getLadders() {
+  return game.settings.get(SYSTEM_ID, "outcomeLadders") ?? {};
+}
+
+// "none" when the GM turned tiers off for rolls that do not pick a ladder
+export function getDefaultLadderId() {
+  const id = game.settings.get(SYSTEM_ID, "defaultLadder");
+  if (id === NO_LADDER || getLadders()[id]) return id;
+  return Object.keys(getLadders())[0] ?? NO_LADDER;
+}
+
+// Ladder id for a check: its override, else the world default
+export function ladderIdForCheck(check) {
+  if (!check) return getDefaultLadderId();
+  const overrides = game.settings.get(SYSTEM_ID, "checkLadders") ?? {};
+  const id = overrides[checkToString(check)];
+  return id && (id === NO_LADDER || getLadders()[id]) ? id : getDefaultLadderId();
+}
+
+// Ladder snapshot stored with a roll: { id, name, tiers } or null.
+// id: ladder id, "none", or undefined for the world default
+export function resolveLadder(id) {
+  if (id === undefined) id = getDefaultLadderId();
+  if (!id || id === NO_LADDER) return null;
+  const ladder = getLadders()[id];
+  if (!ladder) return null;
+  return { id, name: ladder.name, tiers: ladder.tiers.map(t => ({ ...t })) };
+}
+
+// Find a ladder by id or name, as typed in chat ("none" turns tiers off).
+// Returns the id, or null when nothing matches.
+export function findLadder(name) {
+  const norm = (s) => String(s ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+  const wanted = norm(name);
+  if (!wanted) return null;
+  if (wanted === NO_LADDER) return NO_LADDER;
+
+  for (const [id, ladder] of Object.entries(getLadders())) {
+    if (wanted === norm(id) || wanted === norm(ladder.name)) return id;
+  }
+  return null;
+}
+
+// Highest tier whose minimum the total reaches (null below the lowest tier)
+export function tierForTotal(ladder, total) {
+  let tier = null;
+  for (const t of ladder?.tiers ?? []) {
+    if (total >= t.min && (!tier || t.min >= tier.min)) tier = t;
+  }
+  return tier ? { ...tier } : null;
+}
+
+// <select> of the ladders, with "None" for no tiers
+export function ladderSelectHtml(name = "ladder", selected = getDefaultLadderId()) {
+  const options = Object.entries(getLadders()).map(([id, ladder]) =>
+    `<option value="${id}" ${id === selected ? "selected" : ""}>${ladder.name}</option>`
+  );
+  options.push(`<option value="${NO_LADDER}" ${selected === NO_LADDER ? "selected" : ""}>None</option>`);
+  return `<select name="${name}">${options.join("")}</select>`;
+}
+
+// ----------------------------------------
+// Settings menu
+// ----------------------------------------
+// Each ladder is edited as a name plus one tier per line:
+//   min | label | description
+
+const tiersToText = (tiers) => tiers
+  .slice()
+  .sort((a, b) => a.min - b.min)
+  .map(t => `${t.min} | ${t.label} | ${t.description ?? ""}`)
+  .join("\n");
+
+function tiersFromText(text) {
+  const tiers = [];
+  for (const line of String(text ?? "").split("\n")) {
+    if (!line.trim()) continue;
+    const [min, label, ...description] = line.split("|").map(s => s.trim());
+    const n = parseInt(min, 10);
+    if (!Number.isFinite(n) || n < 0 || !label) continue;
+    tiers.push({ min: n, label, description: description.join(" | ") });
+  }
+  return tiers.sort((a, b) => a.min - b.min);
+}
+
+export class OutcomeLadderConfig extends FormApplication {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "rolenroll-outcome-ladders",
+      title: "Role&Roll – Outcome ladders",
+      template: systemPath("templates/outcome-ladders.hbs"),
+      classes: ["rolenroll", "rr-ladder-config"],
+      width: 560,
+      height: "auto",
+      closeOnSubmit: true
+    });
+  }
+
+  getData(options = {}) {
+    const ladders = getLadders();
+    const defaultId = getDefaultLadderId();
+    const overrides = game.settings.get(SYSTEM_ID, "checkLadders") ?? {};
+
+    const ladderOptions = [
+      ...Object.entries(ladders).map(([id, ladder]) => ({ id, name: ladder.name })),
+      { id: NO_LADDER, name: "None" }
+    ];
+
+    return {
+      noLadder: NO_LADDER,
+      noLadderDefault: defaultId === NO_LADDER,
+      ladders: Object.entries(ladders).map(([id, ladder]) => ({
+        id,
+        name: ladder.name,
+        tiersText: tiersToText(ladder.tiers),
+        isDefault: id === defaultId
+      })),
+      checks: checkChoices().map(choice => ({
+        ...choice,
+        options: ladderOptions.map(o => ({ ...o, selected: overrides[choice.value] === o.id }))
+      }))
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find(".rr-ladder-add").on("click", (ev) => {
+      ev.preventDefault();
+      const id = foundry.utils.randomID(8);
+      const block = $(`
+<fieldset class="rr-ladder" data-ladder="${id}">
+  <div class="form-group">
+    <label>Name:</label>
+    <input type="text" name="ladders.${id}.name" value="New ladder"/>
+    <label><input type="radio" name="defaultLadder" value="${id}"/> Default</label>
+    <a class="rr-ladder-delete" title="Delete ladder"><i class="fas fa-trash"></i></a>
+  </div>
+  <textarea name="ladders.${id}.tiers" rows="4" placeholder="min | label | description"></textarea>
+</fieldset>`);
+      html.find(".rr-ladder-list").append(block);
+      this.setPosition({ height: "auto" });
+    });
+
+    html.on("click", ".rr-ladder-delete", (ev) => {
+      ev.preventDefault();
+      $(ev.currentTarget).closest(".rr-ladder").remove();
+      this.setPosition({ height: "auto" });
+    });
+  }
+
+  async _updateObject(event, formData) {
+    const data = foundry.utils.expandObject(formData);
+
+    const ladders = {};
+    for (const [id, ladder] of Object.entries(data.ladders ?? {})) {
+      const tiers = tiersFromText(ladder.tiers);
+      if (!tiers.length) {
+        ui.notifications.warn(`Role&Roll: Ladder "${ladder.name}" has no valid tiers and was not saved.`);
+        continue;
+      }
+      ladders[id] = { name: String(ladder.name || id).trim(), tiers };
+    }
+
+    // overrides pointing at deleted ladders fall back to the default
+    const checkLadders = {};
+    for (const [check, id] of Object.entries(foundry.utils.flattenObject(data.checks ?? {}))) {
+      if (id && (id === NO_LADDER || ladders[id])) checkLadders[check] = id;
+    }
+
+    await game.settings.set(SYSTEM_ID, "outcomeLadders", ladders);
+    const defaultLadder = (data.defaultLadder === NO_LADDER || ladders[data.defaultLadder])
+      ? data.defaultLadder
+      : Object.keys(ladders)[0] ?? NO_LADDER;
+    await game.settings.set(SYSTEM_ID, "defaultLadder", defaultLadder);
+    await game.settings.set(SYSTEM_ID, "checkLadders", checkLadders);
+  }
+}
+
+// Called from registerSettings()
+export function registerLadderSettings() {
+  game.settings.register(SYSTEM_ID, "outcomeLadders", {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: DEFAULT_LADDERS
+  });
+
+  game.settings.register(SYSTEM_ID, "defaultLadder", {
+    scope: "world",
+    config: false,
+    type: String,
+    default: "standard"
+  });
+
+  game.settings.register(SYSTEM_ID, "checkLadders", {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {}
+  });
+
+  game.settings.registerMenu(SYSTEM_ID, "outcomeLadderMenu", {
+    name: "Outcome ladders",
+    label: "Edit ladders",
+    hint: "Name the result tiers reached by a final total (e.g. 0 failure, 1–2 partial, 3+ full), with per-check overrides.",
+    icon: "fas fa-stairs",
+    type: OutcomeLadderConfig,
+    restricted: true
+  });
+}
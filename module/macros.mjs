@@ -0,0 +1,85 @@
+// ===============================
+// Role&Roll hotbar macros – drag sheet rolls to the hotbar
+// ===============================
+// Dragging an attribute / skill row (or its Mod Roll button) off the sheet
+// and dropping it on the hotbar creates a script macro such as:
+//   game.rolenroll.rollSkill("Actor.abc", "academic", "search", { modified: false, useControlled: true });
+// Custom skills are named by label: rollSkill("Actor.abc", "custom", "Occult Lore", …).
+// The controlled token's actor is rolled when there is one, so the same
+// macro works for any token; otherwise the actor it was dragged from.
+
+import { SYSTEM_ID } from "./config.mjs";
+import { checkLabel, getCustomSkill, CUSTOM_SKILL_GROUP } from "./checks.mjs";
+
+const DRAG_TYPE = "RolenrollCheck";
+
+// Internal: check named by a sheet roll button
+function _checkFromButton(btn) {
+  if (btn.dataset.attr) return { type: "attribute", key: btn.dataset.attr };
+  if (btn.dataset.group && btn.dataset.skill) {
+    return { type: "skill", group: btn.dataset.group, key: btn.dataset.skill };
+  }
+  return null;
+}
+
+// dragstart on an attribute / skill row of the actor sheet
+export function onCheckDragStart(ev, actor) {
+  const row = ev.currentTarget;
+  const modButton = ev.target.closest?.(".rr-attr-roll-mod, .rr-skill-roll-mod");
+  const button = modButton ?? row.querySelector(".rr-attr-roll, .rr-skill-roll");
+  const check = button ? _checkFromButton(button) : null;
+  if (!check) return;
+
+  // custom skills are named by label, so the macro finds the same skill
+  // on whichever actor is controlled
+  if (check.group === CUSTOM_SKILL_GROUP) {
+    check.key = getCustomSkill(actor, check.key)?.label ?? check.key;
+  }
+
+  ev.dataTransfer.setData("text/plain", JSON.stringify({
+    type: DRAG_TYPE,
+    actorUuid: actor.uuid,
+    check,
+    modified: !!modButton
+  }));
+}
+
+// Internal: script for a dropped check. The drop data comes from outside,
+// so every value goes in as a JSON literal.
+function _macroCommand({ actorUuid, check, modified }) {
+  const json = (value) => JSON.stringify(value ?? null);
+  const options = `{ modified: ${json(!!modified)}, useControlled: true }`;
+  if (check.type === "skill") {
+    return `game.rolenroll.rollSkill(${json(actorUuid)}, ${json(check.group)}, ${json(check.key)}, ${options});`;
+  }
+  return `game.rolenroll.rollAttribute(${json(actorUuid)}, ${json(check.key)}, ${options});`;
+}
+
+// hotbarDrop hook: returns false for our drops so core does nothing else
+export function onHotbarDrop(bar, data, slot) {
+  if (data?.type !== DRAG_TYPE) return;
+  _createCheckMacro(data, slot);
+  return false;
+}
+
+// Internal: reuse the user's macro for the same roll, else create one
+async function _createCheckMacro(data, slot) {
+  const actor = fromUuidSync(data.actorUuid);
+  const label = checkLabel(data.check, actor);
+  const name = `${actor?.name ?? "Role&Roll"}: ${label}${data.modified ? " (Mod Roll)" : ""}`;
+  const command = _macroCommand(data);
+
+  let macro = game.macros.find(m => m.command === command && m.isOwner);
+  if (!macro) {
+    macro = await Macro.create({
+      name,
+      type: "script",
+      img: data.modified ? "icons/svg/dice-target.svg" : "icons/svg/d20-black.svg",
+      command,
+      flags: { [SYSTEM_ID]: { checkMacro: { check: data.check, modified: data.modified } } }
+    });
+  }
+
+  await game.user.assignHotbarMacro(macro, slot);
+  return macro;
+}
@@ -0,0 +1,261 @@
+// ===============================
+// Role&Roll migrations – upgrade world data to the current schema
+// ===============================
+// The world setting "schemaVersion" holds the last migration a world has run.
+// On ready, the active GM runs every newer step in order over:
+//   - world actors and the synthetic actors of unlinked tokens
+//   - Actor compendia of the world (unlocked while migrating)
+//   - chat messages (system flags)
+// A step is registered with a function per kind of document, each returning
+// the update for one document (or null to leave it alone; may be async):
+//   registerMigration({ version: 3, name: "…", actor: (actor) => update, message: (message) => update })
+// Steps must be safe to run twice: if one fails the run stops, the version
+// stays at the last finished step and the step runs again next time.
+
+import { SYSTEM_ID } from "./config.mjs";
+import { ROLL_FLAG_VERSION } from "./roll-card.mjs";
+import { createHiddenDifficultyMessage } from "./hidden-difficulty.mjs";
+
+const MIGRATIONS = [];
+
+export function registerMigration({ version, name, actor = null, message = null }) {
+  MIGRATIONS.push({ version, name, actor, message });
+  MIGRATIONS.sort((a, b) => a.version - b.version);
+}
+
+// Schema version of this system: the newest registered step
+export function currentSchemaVersion() {
+  return MIGRATIONS.at(-1)?.version ?? 0;
+}
+
+// ----------------------------------------
+// Steps
+// ----------------------------------------
+
+// 1: character data in the data model's shape (ratings as { value, success },
+//    skills in their group). CharacterData.migrateData converts on load;
+//    writing the system object back stores the converted data.
+//    Unlinked tokens only store what differs from their actor, so only
+//    those parts are written for them.
+function _tokenDeltaKeys(actor) {
+  const token = actor.token;
+  const system = token?.delta?._source?.system ?? token?.actorData?.system ?? {};
+  return Object.keys(system);
+}
+
+registerMigration({
+  version: 1,
+  name: "Character attributes and skills",
+  actor: (actor) => {
+    if (actor.type !== "character") return null;
+    const system = actor.toObject().system;
+    if (!actor.isToken) return { system };
+    const keys = _tokenDeltaKeys(actor);
+    return keys.length ? { system: Object.fromEntries(keys.map(k => [k, system[k]])) } : null;
+  }
+});
+
+// 2: roll flags from before outcome ladders (v2) and reroll policies (v3)
+registerMigration({
+  version: 2,
+  name: "Roll card flags",
+  message: (message) => {
+    const roll = message.getFlag(SYSTEM_ID, "roll");
+    if (!roll || (roll.version ?? 1) >= 3) return null;
+    return {
+      [`flags.${SYSTEM_ID}.roll`]: {
+        ...roll,
+        version: 3,
+        difficulty: roll.difficulty ?? null,
+        hiddenDifficulty: !!roll.hiddenDifficulty,
+        outcome: roll.outcome ?? null,
+        ladder: roll.ladder ?? null,
+        tier: roll.tier ?? null,
+        rerollPolicy: roll.rerollPolicy ?? null,
+        capped: !!roll.capped,
+        rollMode: roll.rollMode ?? "publicroll"
+      }
+    };
+  }
+});
+
+// 3: roll flags from before item modifiers (v4)
+registerMigration({
+  version: 3,
+  name: "Roll card modifiers",
+  message: (message) => {
+    const roll = message.getFlag(SYSTEM_ID, "roll");
+    if (!roll || (roll.version ?? 1) >= ROLL_FLAG_VERSION) return null;
+    return {
+      [`flags.${SYSTEM_ID}.roll`]: { ...roll, version: ROLL_FLAG_VERSION, modifiers: roll.modifiers ?? [] }
+    };
+  }
+});
+
+// 4: roll cards with a hidden difficulty kept it (and the verdict) in flags
+//    every client receives. The difficulty moves to a GM-whispered companion
+//    (see hidden-difficulty.mjs) before it is dropped from the card.
+registerMigration({
+  version: 4,
+  name: "Hidden difficulties",
+  message: async (message) => {
+    const roll = message.getFlag(SYSTEM_ID, "roll");
+    if (!roll?.hiddenDifficulty || (roll.difficulty === null && roll.outcome === null)) return null;
+    await createHiddenDifficultyMessage(message, roll.difficulty);
+    return {
+      [`flags.${SYSTEM_ID}.roll`]: { ...roll, difficulty: null, outcome: null }
+    };
+  }
+});
+
+// 5: group checks with a hidden difficulty kept it (and each member's
+//    verdict) in their request card's flags. The difficulty moves to a
+//    companion as in step 4; the verdicts are worked out when rendering.
+registerMigration({
+  version: 5,
+  name: "Hidden group check difficulties",
+  message: async (message) => {
+    const groupCheck = message.getFlag(SYSTEM_ID, "groupCheck");
+    if (!groupCheck?.hiddenDifficulty) return null;
+    if (groupCheck.difficulty === null && groupCheck.entries.every(e => !("passed" in e))) return null;
+    await createHiddenDifficultyMessage(message, groupCheck.difficulty);
+    return {
+      [`flags.${SYSTEM_ID}.groupCheck`]: {
+        ...groupCheck,
+        difficulty: null,
+        entries: groupCheck.entries.map(({ passed, ...entry }) => entry)
+      }
+    };
+  }
+});
+
+// ----------------------------------------
+// Running
+// ----------------------------------------
+
+// Foundry v13 moved SceneNavigation under foundry.applications.ui
+const SceneNavigationImpl = foundry.applications?.ui?.SceneNavigation ?? globalThis.SceneNavigation;
+
+function _progress(label, done, total) {
+  const pct = total ? Math.round((done / total) * 100) : 100;
+  SceneNavigationImpl?.displayProgressBar?.({ label, pct });
+}
+
+// Internal: apply one step's function to one document.
+// diff: false so data converted on load is written even if it looks unchanged.
+async function _migrateDocument(doc, migrate) {
+  const update = await migrate(doc);
+  if (!update || foundry.utils.isEmpty(update)) return;
+  await doc.update(update, { diff: false, render: false });
+}
+
+// Internal: every document a step has to visit
+async function _collect(step) {
+  const actors = [];
+  const messages = [];
+
+  if (step.actor) {
+    for (const actor of game.actors) actors.push(actor);
+
+    for (const scene of game.scenes) {
+      for (const token of scene.tokens) {
+        if (!token.actorLink && token.actor) actors.push(token.actor);
+      }
+    }
+
+    for (const pack of game.packs) {
+      if (pack.documentName !== "Actor" || pack.metadata.packageType !== "world") continue;
+      actors.push(...await pack.getDocuments());
+    }
+  }
+
+  if (step.message) messages.push(...game.messages);
+
+  return { actors, messages };
+}
+
+// Internal: run one step. Throws on the first document that fails.
+async function _runStep(step) {
+  const { actors, messages } = await _collect(step);
+  const total = actors.length + messages.length;
+  const label = `Role&Roll: Migrating – ${step.name}`;
+  let done = 0;
+
+  // compendia have to be unlocked to be written to
+  const locked = new Set(actors.map(a => a.pack).filter(p => p && game.packs.get(p)?.locked));
+  for (const id of locked) await game.packs.get(id).configure({ locked: false });
+
+  try {
+    for (const actor of actors) {
+      try {
+        await _migrateDocument(actor, step.actor);
+      } catch (err) {
+        err.message = `Actor "${actor.name}" (${actor.uuid}): ${err.message}`;
+        throw err;
+      }
+      _progress(label, ++done, total);
+    }
+
+    for (const message of messages) {
+      try {
+        await _migrateDocument(message, step.message);
+      } catch (err) {
+        err.message = `Chat message ${message.id}: ${err.message}`;
+        throw err;
+      }
+      _progress(label, ++done, total);
+    }
+  } finally {
+    for (const id of locked) await game.packs.get(id).configure({ locked: true });
+  }
+
+  _progress(label, total, total);
+}
+
+// Only one GM migrates (the active one), everyone else waits for the reload
+function _isMigratingUser() {
+  if (!game.user.isGM) return false;
+  const activeGM = game.users.activeGM;
+  return !activeGM || activeGM.isSelf;
+}
+
+// ready hook: run every step newer than the world's schema version
+export async function migrateWorld() {
+  if (!_isMigratingUser()) return;
+
+  const from = Number(game.settings.get(SYSTEM_ID, "schemaVersion")) || 0;
+  const steps = MIGRATIONS.filter(step => step.version > from);
+  if (!steps.length) return;
+
+  ui.notifications.info(
+    `Role&Roll: Migrating world data from schema ${from} to ${currentSchemaVersion()}. Please do not close the game.`,
+    { permanent: true }
+  );
+
+  for (const step of steps) {
+    try {
+      await _runStep(step);
+    } catch (err) {
+      console.error(`Role&Roll | Migration ${step.version} (${step.name}) failed`, err);
+      ui.notifications.error(
+        `Role&Roll: Migration "${step.name}" failed and was stopped: ${err.message}. ` +
+        "The world stays on the last finished step; see the console (F12) for details.",
+        { permanent: true }
+      );
+      return;
+    }
+    await game.settings.set(SYSTEM_ID, "schemaVersion", step.version);
+  }
+
+  ui.notifications.info(`Role&Roll: World data migrated to schema ${currentSchemaVersion()}.`, { permanent: true });
+}
+
+// Called from registerSettings()
+export function registerMigrationSettings() {
+  game.settings.register(SYSTEM_ID, "schemaVersion", {
+    scope: "world",
+    config: false,
+    type: Number,
+    default: 0
+  });
+}
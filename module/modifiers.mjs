@@ -0,0 +1,206 @@
+// ===============================
+// Role&Roll modifiers – automatic bonuses from owned items, abilities & effects
+// ===============================
+// Items declare modifiers in system.modifiers:
+//   { target, effect, value }
+//   target: "all"                      every roll
+//           "attribute.charm"          Charm, and skills using Charm
+//           "skill.academic.medicine"  that skill
+//           "tag.attack"               rolls with that tag (see rollTags)
+//   effect: "dice"     value extra normal dice
+//           "adv"      one aN die (value = + faces, 1–4)
+//           "neg"      one nN die (value = − faces, 1–4)
+//           "success"  +value success
+//           "penalty"  +value penalty
+// Active effects add modifiers too (system.rollModifiers.<target>.<effect>,
+// see effects.mjs). Before a check is rolled, gatherModifiers() collects the
+// ones that apply (weapons & armor only while equipped). Mod Roll dialogs
+// list them as checkboxes; the roll card names each one that was used.
+
+import { checkToString, checkChoices, getSkillConfig, getCustomSkill, skillGroups, CUSTOM_SKILL_GROUP } from "./checks.mjs";
+import { appliedEffects, ROLL_MODIFIER_PREFIX } from "./effects.mjs";
+
+export const MODIFIER_EFFECTS = {
+  dice: "Extra dice",
+  adv: "Advantage die (aN)",
+  neg: "Negative die (nN)",
+  success: "Success",
+  penalty: "Penalty"
+};
+
+// ----------------------------------------
+// Matching
+// ----------------------------------------
+
+// Tags of a roll: its type, its skill group, plus extras ("attack")
+export function rollTags(check, extra = []) {
+  const tags = [check?.type].filter(Boolean);
+  if (check?.type === "skill") tags.push(check.group);
+  return [...tags, ...extra];
+}
+
+// Internal: attribute keys a check uses (the attribute, or a skill's base attributes)
+function _checkAttributes(actor, check) {
+  if (check?.type === "attribute") return [check.key];
+  if (check?.type !== "skill") return [];
+  const baseAttr = check.baseAttr ?? (check.group === CUSTOM_SKILL_GROUP
+    ? getCustomSkill(actor, check.key)?.baseAttr
+    : getSkillConfig(check.group, check.key)?.baseAttr);
+  return String(baseAttr ?? "").split(",").map(k => k.trim()).filter(Boolean);
+}
+
+export function modifierApplies(target, { actor, check, tags }) {
+  if (target === "all") return true;
+  const [kind, ...rest] = String(target ?? "").split(".");
+  if (kind === "tag") return tags.includes(rest.join("."));
+  if (kind === "attribute") return _checkAttributes(actor, check).includes(rest[0]);
+  if (kind === "skill" && check) return target === checkToString(check);
+  return false;
+}
+
+// "+1 success", "one a2 die", "+2 dice"
+export function modifierLabel({ effect, value }) {
+  switch (effect) {
+    case "dice": return `+${value} ${value === 1 ? "die" : "dice"}`;
+    case "adv": return `one a${value} die`;
+    case "neg": return `one n${value} die`;
+    case "success": return `+${value} success`;
+    case "penalty": return `+${value} penalty`;
+    default: return `${effect} ${value}`;
+  }
+}
+
+// Internal: items whose modifiers are active
+function _activeItems(actor, item) {
+  return (actor?.items ?? []).filter(i =>
+    i === item || !("equipped" in i.system) || i.system.equipped
+  );
+}
+
+// Internal: modifiers added by active effects
+// (change key system.rollModifiers.<target>.<effect>, mode Add)
+function _effectModifiers(actor) {
+  const modifiers = [];
+  for (const effect of appliedEffects(actor)) {
+    (effect.changes ?? []).forEach((change, i) => {
+      if (!change.key?.startsWith(ROLL_MODIFIER_PREFIX)) return;
+      if (change.mode !== CONST.ACTIVE_EFFECT_MODES.ADD) return;
+      const path = change.key.slice(ROLL_MODIFIER_PREFIX.length).split(".");
+      const effectKey = path.pop();
+      if (!(effectKey in MODIFIER_EFFECTS)) return;
+      modifiers.push({
+        id: `${effect.uuid}.${i}`,
+        source: effect.name,
+        target: path.join("."),
+        effect: effectKey,
+        value: parseInt(change.value, 10) || 0
+      });
+    });
+  }
+  return modifiers;
+}
+
+// Modifiers of an actor's items and active effects that apply to a check:
+// [{ id, source, target, effect, value, label }]
+// tags: extra roll tags ("attack"); item: the item used for the roll,
+// whose modifiers count even when it is not equipped
+export function gatherModifiers(actor, check, { tags = [], item = null } = {}) {
+  const context = { actor, check, tags: rollTags(check, tags) };
+
+  const fromItems = _activeItems(actor, item).flatMap(owned =>
+    (owned.system.modifiers ?? []).map((mod, i) => ({ ...mod, id: `${owned.id}.${i}`, source: owned.name }))
+  );
+
+  return [...fromItems, ..._effectModifiers(actor)]
+    .filter(mod => mod.value > 0 && modifierApplies(mod.target, context))
+    .map(mod => ({
+      id: mod.id,
+      source: mod.source,
+      target: mod.target,
+      effect: mod.effect,
+      value: mod.value,
+      label: modifierLabel(mod)
+    }));
+}
+
+// ----------------------------------------
+// Applying
+// ----------------------------------------
+
+const _faces = (value) => Math.min(4, Math.max(1, value));
+
+// Add modifiers to a pool of dice configs.
+// Returns { dice, bonusSuccess, bonusPenalty, modifiers: [{ source, label }] }
+export function applyModifiers({ dice = [], bonusSuccess = 0, bonusPenalty = 0 }, modifiers = []) {
+  const result = { dice: [...dice], bonusSuccess, bonusPenalty, modifiers: [] };
+
+  for (const mod of modifiers) {
+    if (mod.effect === "dice") {
+      for (let i = 0; i < mod.value; i++) result.dice.push({ kind: "normal" });
+    } else if (mod.effect === "adv") {
+      result.dice.push({ kind: "adv", plusCount: _faces(mod.value) });
+    } else if (mod.effect === "neg") {
+      result.dice.push({ kind: "neg", minusCount: _faces(mod.value) });
+    } else if (mod.effect === "success") {
+      result.bonusSuccess += mod.value;
+    } else if (mod.effect === "penalty") {
+      result.bonusPenalty += mod.value;
+    } else {
+      continue;
+    }
+    result.modifiers.push({ source: mod.source, label: mod.label });
+  }
+
+  return result;
+}
+
+// The same modifiers as changes to a Mod Roll form:
+// { total, special: "a2 n1", success, penalty } to add to what was typed
+export function modifierFormDelta(modifiers = []) {
+  const delta = { total: 0, special: [], success: 0, penalty: 0 };
+  for (const mod of modifiers) {
+    if (mod.effect === "dice") delta.total += mod.value;
+    else if (mod.effect === "adv") { delta.total += 1; delta.special.push(`a${_faces(mod.value)}`); }
+    else if (mod.effect === "neg") { delta.total += 1; delta.special.push(`n${_faces(mod.value)}`); }
+    else if (mod.effect === "success") delta.success += mod.value;
+    else if (mod.effect === "penalty") delta.penalty += mod.value;
+  }
+  return { ...delta, special: delta.special.join(" ") };
+}
+
+// Checkbox list for Mod Roll dialogs (all ticked)
+export function modifierCheckboxesHtml(modifiers) {
+  if (!modifiers.length) return "";
+  const rows = modifiers.map(mod => {
+    const source = foundry.utils.escapeHTML?.(mod.source) ?? mod.source;
+    return `
+    <label class="rr-modifier">
+      <input type="checkbox" name="modifier" value="${mod.id}" checked/>
+      ${source}: ${mod.label}
+    </label>`;
+  }).join("");
+  return `
+  <fieldset class="rr-modifiers">
+    <legend>Modifiers</legend>${rows}
+  </fieldset>`;
+}
+
+// ----------------------------------------
+// Item sheets
+// ----------------------------------------
+
+// Targets for the modifier <select> of item sheets: [{ value, label, group }]
+export function modifierTargetChoices() {
+  const checks = checkChoices().map(choice => choice.group === "Attributes"
+    ? { ...choice, group: "Attributes (and their skills)" }
+    : choice);
+
+  const tags = [
+    { value: "tag.attack", label: "Weapon attacks" },
+    { value: "tag.attribute", label: "Attribute rolls" },
+    { value: "tag.skill", label: "Skill rolls" },
+    ...Object.entries(skillGroups()).map(([group, { label }]) => ({ value: `tag.${group}`, label: `${label ?? group} skills` }))
+  ].map(tag => ({ ...tag, group: "Tags" }));
+
+  return [{ value: "all", label: "All rolls", group: "General" }, ...checks, ...tags];
+}
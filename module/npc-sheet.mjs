@@ -0,0 +1,112 @@
+// ===============================
+// Role&Roll NPC sheet – compact stat block with quick pools
+// ===============================
+// NPCs have HP, defense, a threat level, notes and a few named pools
+// (system.pools): { id, name, dice, special: "a1 n2", success, penalty }.
+// Each pool rolls with one click, e.g. "Claws: 5 dice a1".
+
+import { systemPath } from "./config.mjs";
+import { buildDiceFromTray } from "./pool-input.mjs";
+import { rollRolenrollPool } from "./roll-pool.mjs";
+import { effectiveValue, effectsContext, activateEffectListeners } from "./effects.mjs";
+
+// Foundry v13 moved TextEditor under foundry.applications.ux
+const TextEditorImpl = foundry.applications?.ux?.TextEditor?.implementation ?? globalThis.TextEditor;
+
+// "5 dice a1, +1 success"
+export function quickPoolSummary(pool) {
+  const parts = [`${pool.dice} dice${pool.special ? ` ${pool.special}` : ""}`];
+  if (pool.success) parts.push(`+${pool.success} success`);
+  if (pool.penalty) parts.push(`${pool.penalty} penalty`);
+  return parts.join(", ");
+}
+
+// Roll one of an NPC's quick pools by id or name
+export function rollQuickPool(actor, idOrName) {
+  const pool = actor?.system?.pools?.find(p => p.id === idOrName || p.name === idOrName);
+  if (!pool) {
+    ui.notifications.warn(`Role&Roll: ${actor?.name ?? "This actor"} has no pool "${idOrName}".`);
+    return null;
+  }
+  if (pool.dice <= 0) {
+    ui.notifications.warn(`Role&Roll: ${pool.name} has 0 dice.`);
+    return null;
+  }
+
+  const dice = buildDiceFromTray(pool.dice, pool.special);
+  if (!dice) return null;
+
+  return rollRolenrollPool({
+    actor,
+    dice,
+    bonusSuccess: pool.success,
+    bonusPenalty: pool.penalty
+  });
+}
+
+export class RolenrollNpcSheet extends ActorSheet {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      classes: ["rolenroll", "sheet", "actor", "npc"],
+      template: systemPath("templates/npc-sheet.hbs"),
+      width: 480,
+      height: 460
+    });
+  }
+
+  async getData(options = {}) {
+    const context = await super.getData(options);
+    context.system = this.actor.system;
+    context.effective = {
+      hpMax: effectiveValue(this.actor, "system.hpMax"),
+      defense: effectiveValue(this.actor, "system.defense")
+    };
+    context.pools = this.actor.system.pools.map(pool => ({ ...pool, summary: quickPoolSummary(pool) }));
+    context.effects = effectsContext(this.actor);
+    context.notesHTML = await TextEditorImpl.enrichHTML(this.actor.system.notes, {
+      async: true,
+      secrets: this.actor.isOwner,
+      relativeTo: this.actor
+    });
+    return context;
+  }
+
+  // Pool rows are named system.pools.<index>.<field>; send them as an array
+  _getSubmitData(updateData = {}) {
+    const data = foundry.utils.expandObject(super._getSubmitData(updateData));
+    if (data.system?.pools) {
+      data.system.pools = Object.entries(data.system.pools)
+        .sort(([a], [b]) => Number(a) - Number(b))
+        .map(([, pool]) => pool);
+    }
+    return data;
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+    const actor = this.actor;
+
+    html.find(".rr-pool-roll").on("click", (ev) => {
+      ev.preventDefault();
+      rollQuickPool(actor, ev.currentTarget.dataset.pool);
+    });
+
+    activateEffectListeners(html, actor);
+
+    if (!this.isEditable) return;
+
+    html.find(".rr-pool-add").on("click", (ev) => {
+      ev.preventDefault();
+      const pools = actor.toObject().system.pools;
+      pools.push({ id: foundry.utils.randomID(), name: "New pool", dice: 5, special: "", success: 0, penalty: 0 });
+      actor.update({ "system.pools": pools });
+    });
+
+    html.find(".rr-pool-delete").on("click", (ev) => {
+      ev.preventDefault();
+      const id = ev.currentTarget.dataset.pool;
+      const pools = actor.toObject().system.pools.filter(p => p.id !== id);
+      actor.update({ "system.pools": pools });
+    });
+  }
+}
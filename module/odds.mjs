@@ -0,0 +1,208 @@
+// ===============================
+// Role&Roll odds – exact distribution of a pool's final total
+// ===============================
+// Every die is independent until scoring, so each die is turned into a
+// distribution over (points, +/− balance) for its whole reroll chain, the
+// dice are convolved together, and only then are the pool rules applied:
+// - "+"/"−" only count when there is at least one base point
+// - the dice total and the final total never go below 0
+
+import { buildDieFaces, formulaForDice } from "./dice.mjs";
+import { buildDiceFromTray } from "./pool-input.mjs";
+import { getRerollPolicy } from "./roll-pool.mjs";
+
+// Default reroll depth; an R on the last allowed roll still scores its
+// point but is not rerolled (same as pressing "Finish").
+// (1/6)^20 is far below anything a percentage can show.
+export const ODDS_MAX_DEPTH = 20;
+
+// Entries less likely than this are dropped while convolving
+const EPSILON = 1e-15;
+
+// (points, balance) packed into one number; a pool has at most 50 dice,
+// so the +/− balance stays within ±BALANCE_OFFSET
+const BALANCE_OFFSET = 128;
+const packKey = (points, balance) => points * (2 * BALANCE_OFFSET) + balance + BALANCE_OFFSET;
+const unpackKey = (key) => {
+  const points = Math.floor(key / (2 * BALANCE_OFFSET));
+  return [points, key - points * 2 * BALANCE_OFFSET - BALANCE_OFFSET];
+};
+
+// Internal: one die and its reroll chain → Map packKey(points, balance) → probability
+// keepFaces: rerolls use the die's own faces, else those of a normal die
+function _dieDistribution(config, { reroll, maxDepth, keepFaces }) {
+  const firstFaces = buildDieFaces(config);
+  const rerollFaces = keepFaces ? firstFaces : buildDieFaces({ kind: "normal" });
+  const p = 1 / firstFaces.length;
+  const result = new Map();
+  const add = (points, balance, prob) => {
+    const key = packKey(points, balance);
+    result.set(key, (result.get(key) ?? 0) + prob);
+  };
+
+  // chance of reaching this roll of the chain, points scored so far by R faces
+  let reach = 1;
+  for (let depth = 0; depth <= maxDepth; depth++) {
+    const faces = depth === 0 ? firstFaces : rerollFaces;
+    const rerolls = reroll && depth < maxDepth;
+    for (const face of faces) {
+      if (face === "R" && rerolls) continue;
+      const points = depth + ((face === "1" || face === "R") ? 1 : 0);
+      const balance = face === "+" ? 1 : face === "-" ? -1 : 0;
+      add(points, balance, reach * p);
+    }
+    if (!rerolls) break;
+    reach *= faces.filter(f => f === "R").length * p;
+  }
+
+  return result;
+}
+
+// Internal: convolve two (points, balance) distributions.
+// Packed keys add up like the pairs they stand for, minus one offset.
+function _convolve(a, b) {
+  const result = new Map();
+  for (const [keyA, probA] of a) {
+    for (const [keyB, probB] of b) {
+      const prob = probA * probB;
+      if (prob < EPSILON) continue;
+      const key = keyA + keyB - BALANCE_OFFSET;
+      result.set(key, (result.get(key) ?? 0) + prob);
+    }
+  }
+  return result;
+}
+
+// Distributions are cached per pool; inputs change one keystroke at a time
+const _cache = new Map();
+const CACHE_SIZE = 50;
+
+// Exact distribution of a pool's final total.
+// dice: [{ kind, plusCount | minusCount }]
+// reroll: follow R chains (false = every R just scores its point)
+// maxDepth / keepFaces: as in the reroll policy (see getRerollPolicy)
+// Returns { probs: [P(total = 0), P(total = 1), …], mean }
+export function poolDistribution(dice = [], {
+  bonusSuccess = 0,
+  bonusPenalty = 0,
+  reroll = true,
+  maxDepth = ODDS_MAX_DEPTH,
+  keepFaces = true
+} = {}) {
+  const cacheKey = `${formulaForDice(dice)}|${reroll}|${maxDepth}|${keepFaces}`;
+  let pool = _cache.get(cacheKey);
+
+  if (!pool) {
+    pool = new Map([[packKey(0, 0), 1]]);
+    const dieCache = new Map();
+    for (const config of dice) {
+      const dieKey = formulaForDice([config]);
+      if (!dieCache.has(dieKey)) dieCache.set(dieKey, _dieDistribution(config, { reroll, maxDepth, keepFaces }));
+      pool = _convolve(pool, dieCache.get(dieKey));
+    }
+
+    _cache.set(cacheKey, pool);
+    if (_cache.size > CACHE_SIZE) _cache.delete(_cache.keys().next().value);
+  }
+
+  const success = Math.max(0, Number(bonusSuccess) || 0);
+  const penalty = Math.max(0, Number(bonusPenalty) || 0);
+
+  const probs = [];
+  let mean = 0;
+  for (const [key, prob] of pool) {
+    const [points, balance] = unpackKey(key);
+    const diceTotal = points > 0 ? Math.max(0, points + balance) : 0;
+    const finalTotal = Math.max(0, diceTotal + success - penalty);
+    probs[finalTotal] = (probs[finalTotal] ?? 0) + prob;
+    mean += finalTotal * prob;
+  }
+
+  return { probs: Array.from(probs, p => p ?? 0), mean };
+}
+
+// P(final total ≥ target)
+export function chanceToReach(distribution, target) {
+  const from = Math.max(0, Number(target) || 0);
+  return distribution.probs.slice(from).reduce((sum, p) => sum + p, 0);
+}
+
+// 0.4567 → "45.7%"; tiny but possible chances do not show as 0%
+export function formatChance(p) {
+  if (p >= 0.9995 && p < 1) return ">99.9%";
+  if (p > 0 && p < 0.0005) return "<0.1%";
+  return `${(p * 100).toFixed(1)}%`;
+}
+
+// ----------------------------------------
+// Live preview (Mod Roll dialogs & chat tray)
+// ----------------------------------------
+
+// Histogram + "chance to reach N" for a distribution
+export function oddsHtml(distribution, target = null) {
+  const { probs, mean } = distribution;
+  const highest = Math.max(...probs, 0) || 1;
+
+  // hide the long tail nobody will roll
+  let last = probs.length - 1;
+  while (last > 0 && probs[last] < 0.001) last--;
+
+  const bars = probs.slice(0, last + 1).map((p, total) => {
+    const height = Math.round((p / highest) * 100);
+    const reached = target !== null && total >= target ? "rr-odds-reached" : "";
+    return `<div class="rr-odds-bar ${reached}" data-total="${total}" title="${total}: ${formatChance(p)}">
+      <span class="rr-odds-fill" style="height: ${height}%"></span>
+      <span class="rr-odds-label">${total}</span>
+    </div>`;
+  }).join("");
+
+  const chance = target !== null
+    ? `Chance to reach ${target}: <strong>${formatChance(chanceToReach(distribution, target))}</strong>`
+    : "Set a difficulty or click a bar to see the chance to reach it.";
+
+  return `
+<div class="rr-odds-histogram">${bars}</div>
+<div class="rr-odds-readout">${chance} <span class="rr-odds-mean">(average ${mean.toFixed(1)})</span></div>`;
+}
+
+// Keep an odds preview up to date while a form is edited.
+// root:     jQuery element holding the inputs and an empty `.rr-odds` box
+// readPool: () => { total, special, success, penalty, difficulty }
+// Returns the update function, for inputs changed from code.
+export function activateOddsPreview(root, readPool) {
+  const box = root.find(".rr-odds");
+  if (!box.length) return () => {};
+
+  const update = () => {
+    const { total, special, success, penalty, difficulty } = readPool();
+
+    // warnings belong to the Roll button, not to every keystroke
+    const dice = buildDiceFromTray(total, special, () => {});
+    if (!dice) {
+      box.html(`<div class="rr-odds-readout">No valid pool.</div>`);
+      return;
+    }
+
+    // odds assume every offered reroll is taken
+    const policy = getRerollPolicy();
+    const distribution = poolDistribution(dice, {
+      bonusSuccess: success,
+      bonusPenalty: penalty,
+      reroll: policy.mode !== "none",
+      maxDepth: policy.maxDepth,
+      keepFaces: policy.keepFaces
+    });
+    box.html(oddsHtml(distribution, difficulty ?? picked));
+  };
+
+  // a clicked bar is the target while no difficulty is set
+  let picked = null;
+  box.on("click", ".rr-odds-bar", (ev) => {
+    picked = Number(ev.currentTarget.dataset.total);
+    update();
+  });
+
+  root.find("input, select").on("input change", update);
+  update();
+  return update;
+}
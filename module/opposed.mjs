@@ -0,0 +1,385 @@
+// ===============================
+// Role&Roll opposed rolls – initiator vs. target
+// ===============================
+// The initiator posts both roll cards and the combined card. The target's
+// card names the target's owner as its controller, who presses its Reroll /
+// Finish (through the GM, see continueRoll); a GM does so for unowned targets.
+
+import { SYSTEM_ID, systemPath, handlebars } from "./config.mjs";
+import { scoreRounds } from "./dice.mjs";
+import { getRollData } from "./roll-card.mjs";
+import { rollRolenrollPool, rollModeSelectHtml, rollPoolChain } from "./roll-pool.mjs";
+import { checkPool, checkChoices, checkFromString, checkToString, normalDice } from "./checks.mjs";
+import { gatherModifiers, applyModifiers } from "./modifiers.mjs";
+import { getSetting } from "./settings.mjs";
+import { ladderIdForCheck } from "./ladders.mjs";
+import { isActiveGM } from "./socket.mjs";
+
+export const OPPOSED_CARD_TEMPLATE = systemPath("templates/opposed-card.hbs");
+
+// Give up a reroll-off after this many tied attempts
+const MAX_ROLLOFF = 10;
+
+// ----------------------------------------
+// Flag data
+// ----------------------------------------
+// message.flags.rolenroll_test.opposed:
+// {
+//   status:   "pending" | "final"
+//   tieBreak: "points" | "rolloff" | "none"
+//   sides: [{ actorUuid, name, check, label, messageId, controllerId,
+//             finalTotal?, basePoints?, rerollCount? }, …]   (initiator, target)
+//             controllerId: who continues that side's card (null = its author)
+//   winner:   0 | 1 | null   (index into sides, null = tie)
+//   reason:   "total" | "points" | "rerolls" | "rolloff" | "tie"
+//   rolloff:  [[total0, total1], …]
+//   rollMode: "publicroll" | "gmroll" | "blindroll" | "selfroll"
+// }
+
+export function getOpposedData(message) {
+  return message?.getFlag?.(SYSTEM_ID, "opposed") ?? null;
+}
+
+// ----------------------------------------
+// Deciding the winner
+// ----------------------------------------
+
+// Both pools roll again until one is higher. R faces reroll
+// automatically, within the world's reroll policy.
+async function _rollOff(sides, visibility) {
+  const attempts = [];
+
+  for (let i = 0; i < MAX_ROLLOFF; i++) {
+    const totals = [];
+    for (const side of sides) {
+      const { rounds } = await rollPoolChain(side.dice, { visibility });
+      totals.push(scoreRounds(rounds).diceTotal);
+    }
+    attempts.push(totals);
+    if (totals[0] !== totals[1]) break;
+  }
+
+  return attempts;
+}
+
+// Returns { winner, reason, rolloff }
+async function _decideWinner(sides, tieBreak, visibility) {
+  const [a, b] = sides;
+
+  if (a.finalTotal !== b.finalTotal) {
+    return { winner: a.finalTotal > b.finalTotal ? 0 : 1, reason: "total", rolloff: [] };
+  }
+
+  if (tieBreak === "points") {
+    if (a.basePoints !== b.basePoints) {
+      return { winner: a.basePoints > b.basePoints ? 0 : 1, reason: "points", rolloff: [] };
+    }
+    if (a.rerollCount !== b.rerollCount) {
+      return { winner: a.rerollCount > b.rerollCount ? 0 : 1, reason: "rerolls", rolloff: [] };
+    }
+  }
+
+  if (tieBreak === "rolloff") {
+    const rolloff = await _rollOff(sides, visibility);
+    const [t0, t1] = rolloff[rolloff.length - 1];
+    if (t0 !== t1) return { winner: t0 > t1 ? 0 : 1, reason: "rolloff", rolloff };
+    return { winner: null, reason: "tie", rolloff };
+  }
+
+  return { winner: null, reason: "tie", rolloff: [] };
+}
+
+// ----------------------------------------
+// Chat card
+// ----------------------------------------
+
+const REASON_TEXT = {
+  total: "higher final total",
+  points: "tie broken by more base points",
+  rerolls: "tie broken by more R faces",
+  rolloff: "tie broken by a reroll-off",
+  tie: "tie"
+};
+
+function opposedCardContext(data, { user = game.user } = {}) {
+  const isPending = data.status !== "final";
+
+  const sides = data.sides.map((side, idx) => ({
+    ...side,
+    isWinner: !isPending && data.winner === idx,
+    hasTotal: side.finalTotal !== undefined && side.finalTotal !== null
+  }));
+
+  let resultText = "";
+  if (!isPending) {
+    resultText = data.winner === null
+      ? "It's a tie!"
+      : `${data.sides[data.winner].name} wins`;
+  }
+
+  return {
+    ...data,
+    isPending,
+    blindHidden: data.rollMode === "blindroll" && !user?.isGM,
+    isTie: !isPending && data.winner === null,
+    sides,
+    resultText,
+    reasonText: REASON_TEXT[data.reason] ?? "",
+    rolloff: (data.rolloff ?? []).map(([t0, t1], i) => ({ n: i + 1, t0, t1 }))
+  };
+}
+
+export async function renderOpposedCard(data, { user = game.user } = {}) {
+  return handlebars.renderTemplate(OPPOSED_CARD_TEMPLATE, opposedCardContext(data, { user }));
+}
+
+export async function onRenderOpposedMessage(message, html) {
+  const data = getOpposedData(message);
+  if (!data) return;
+  html.find(".message-content").html(await renderOpposedCard(data));
+}
+
+// ----------------------------------------
+// Resolving once both pools are final
+// ----------------------------------------
+
+const _resolving = new Set();
+
+// Internal: the one client that resolves an opposed card: its author, or the
+// active GM while the author is offline
+function _isResolver(message) {
+  const author = message.author ?? message.user;
+  return author?.active ? message.isAuthor : isActiveGM();
+}
+
+// Check the two roll cards of an opposed card; once both are final,
+// decide the winner and update the card. Only one client does this
+// (see _isResolver), so the reroll-off is not rolled by every client.
+export async function resolveOpposed(message) {
+  const data = getOpposedData(message);
+  if (!data || data.status === "final" || !_isResolver(message)) return;
+  if (_resolving.has(message.id)) return;
+
+  const rolls = data.sides.map(side => getRollData(game.messages.get(side.messageId)));
+  if (rolls.some(r => !r || r.status !== "final")) return;
+
+  _resolving.add(message.id);
+  try {
+    const sides = data.sides.map((side, i) => ({
+      ...side,
+      dice: rolls[i].dice,
+      finalTotal: rolls[i].scoring.finalTotal,
+      basePoints: rolls[i].scoring.basePoints,
+      rerollCount: rolls[i].scoring.rerollCount
+    }));
+
+    const visibility = { whisper: message.whisper ?? [], blind: !!message.blind };
+    const { winner, reason, rolloff } = await _decideWinner(sides, data.tieBreak, visibility);
+
+    const opposed = {
+      ...data,
+      status: "final",
+      sides: sides.map(({ dice, ...side }) => side),
+      winner,
+      reason,
+      rolloff
+    };
+
+    await message.update({
+      content: await renderOpposedCard(opposed, { user: null }),
+      [`flags.${SYSTEM_ID}.opposed`]: opposed
+    });
+  } finally {
+    _resolving.delete(message.id);
+  }
+}
+
+// A roll card changed: resolve any opposed card waiting for it
+export function onUpdateRollMessage(rollMessage) {
+  const roll = getRollData(rollMessage);
+  if (!roll || roll.status !== "final") return;
+
+  for (const message of game.messages) {
+    const data = getOpposedData(message);
+    if (!data || data.status === "final") continue;
+    if (data.sides.some(side => side.messageId === rollMessage.id)) {
+      resolveOpposed(message);
+    }
+  }
+}
+
+// ----------------------------------------
+// Public API
+// ----------------------------------------
+
+// Internal: who continues the target's card when this user posts it: the
+// target's (preferably connected) player owner, else a GM; null = this user
+function _controllerOf(actor) {
+  const owners = game.users.filter(u => !u.isGM && actor.testUserPermission(u, "OWNER"));
+  const owner = owners.find(u => u.active) ?? owners[0];
+  if (owner) return owner.id === game.user.id ? null : owner.id;
+  return game.user.isGM ? null : (game.users.activeGM?.id ?? null);
+}
+
+// Roll initiator vs. target. Each side gets its own (interactive) roll
+// card; a combined card names the winner once both chains are finished.
+// check: { type: "attribute", key } | { type: "skill", group, key }
+export async function rollOpposed({
+  initiator,
+  initiatorCheck,
+  target,
+  targetCheck,
+  tieBreak = getSetting("opposedTieBreak"),
+  rollMode = game.settings.get("core", "rollMode")
+} = {}) {
+  if (!initiator || !target) {
+    ui.notifications.warn("Role&Roll: An opposed roll needs an initiator and a target actor.");
+    return null;
+  }
+
+  const sides = [
+    { actor: initiator, check: initiatorCheck },
+    { actor: target, check: targetCheck }
+  ].map(({ actor, check }) => {
+    const { label, baseDice, baseSuccess } = checkPool(actor, check);
+    const pool = applyModifiers({ dice: normalDice(baseDice), bonusSuccess: baseSuccess }, gatherModifiers(actor, check));
+    return { actor, check, label, ...pool };
+  });
+  sides[1].controllerId = _controllerOf(target);
+
+  for (const side of sides) {
+    if (!side.dice.length) {
+      ui.notifications.warn(`Role&Roll: ${side.actor.name}'s ${side.label} has 0 dice.`);
+      return null;
+    }
+  }
+
+  const results = [];
+  for (const side of sides) {
+    results.push(await rollRolenrollPool({
+      actor: side.actor,
+      dice: side.dice,
+      bonusSuccess: side.bonusSuccess,
+      bonusPenalty: side.bonusPenalty,
+      ladder: ladderIdForCheck(side.check),
+      rollMode,
+      modifiers: side.modifiers,
+      flags: side.controllerId ? { controllerId: side.controllerId } : {}
+    }));
+  }
+
+  const opposed = {
+    status: "pending",
+    tieBreak,
+    sides: sides.map((side, i) => ({
+      actorUuid: side.actor.uuid,
+      name: side.actor.name,
+      check: side.check,
+      label: side.label,
+      messageId: results[i].message.id,
+      controllerId: side.controllerId ?? null
+    })),
+    winner: null,
+    reason: null,
+    rolloff: [],
+    rollMode
+  };
+
+  const chatData = {
+    user: game.user.id,
+    speaker: ChatMessage.getSpeaker({ actor: initiator }),
+    content: await renderOpposedCard(opposed, { user: null }),
+    flags: { [SYSTEM_ID]: { opposed } }
+  };
+  ChatMessage.applyRollMode(chatData, rollMode);
+  // the target's controller sees the outcome of a roll they took part in
+  const { controllerId } = sides[1];
+  if (controllerId && chatData.whisper?.length && !chatData.blind && !chatData.whisper.includes(controllerId)) {
+    chatData.whisper.push(controllerId);
+  }
+
+  const message = await ChatMessage.create(chatData);
+
+  // both pools may already be final (no R faces)
+  await resolveOpposed(message);
+  return message;
+}
+
+// Dialog: pick the initiator's check, a targeted token and its check
+export function openOpposedDialog(initiator) {
+  const targets = Array.from(game.user.targets ?? [])
+    .map(token => token.actor)
+    .filter(actor => actor && actor !== initiator);
+
+  if (!targets.length) {
+    ui.notifications.warn("Role&Roll: Target the opposing token first.");
+    return;
+  }
+
+  const choicesHtml = (selected) => {
+    let html = "";
+    let group = null;
+    for (const choice of checkChoices()) {
+      if (choice.group !== group) {
+        if (group !== null) html += "</optgroup>";
+        group = choice.group;
+        html += `<optgroup label="${group}">`;
+      }
+      html += `<option value="${choice.value}" ${choice.value === selected ? "selected" : ""}>${choice.label}</option>`;
+    }
+    return html + "</optgroup>";
+  };
+
+  const defaultCheck = checkToString({ type: "attribute", key: "strength" });
+  const escape = (text) => foundry.utils.escapeHTML?.(text) ?? text;
+  const targetOptions = targets
+    .map(actor => `<option value="${actor.uuid}">${escape(actor.name)}</option>`)
+    .join("");
+
+  const content = `
+<form class="rr-opposed-form">
+  <div class="form-group">
+    <label>${escape(initiator.name)} rolls:</label>
+    <select name="initiatorCheck">${choicesHtml(defaultCheck)}</select>
+  </div>
+  <div class="form-group">
+    <label>Against:</label>
+    <select name="target">${targetOptions}</select>
+  </div>
+  <div class="form-group">
+    <label>Target rolls:</label>
+    <select name="targetCheck">${choicesHtml(defaultCheck)}</select>
+  </div>
+  <div class="form-group">
+    <label>Roll mode:</label>
+    ${rollModeSelectHtml()}
+  </div>
+</form>
+`;
+
+  new Dialog({
+    title: "Role&Roll – Opposed roll",
+    content,
+    buttons: {
+      roll: {
+        icon: '<i class="fas fa-people-arrows"></i>',
+        label: "Roll",
+        callback: (htmlDlg) => {
+          const form = htmlDlg[0].querySelector("form");
+          if (!form) return;
+
+          const target = targets.find(a => a.uuid === form.target.value);
+          rollOpposed({
+            initiator,
+            initiatorCheck: checkFromString(form.initiatorCheck.value),
+            target,
+            targetCheck: checkFromString(form.targetCheck.value),
+            rollMode: form.rollMode.value
+          });
+        }
+      },
+      cancel: { label: "Cancel" }
+    },
+    default: "roll"
+  }).render(true);
+}
@@ -0,0 +1,101 @@
+// ===============================
+// Role&Roll – reading dice pools from tray / dialog / chat input
+// ===============================
+
+// warn: where problems are reported (toast by default; /rr collects them)
+const toast = (msg) => ui.notifications.warn(msg);
+
+export function parseSpecialTokens(specialText, warn = toast) {
+  const specials = [];
+  if (!specialText) return specials;
+
+  const tokens = specialText.split(/[,\s]+/).filter(t => t.length);
+
+  for (const tok of tokens) {
+    if (/^a\d+$/i.test(tok)) {
+      let plusCount = parseInt(tok.slice(1), 10);
+      if (plusCount > 4) {
+        warn(
+          "Role&Roll: Advantage die can have at most 4 + faces. Using 4 instead."
+        );
+        plusCount = 4;
+      } else if (plusCount < 1) {
+        warn(
+          "Role&Roll: Advantage die must have at least 1 + face. Using 1 instead."
+        );
+        plusCount = 1;
+      }
+      specials.push({ kind: "adv", plusCount });
+      continue;
+    }
+
+    if (/^n\d+$/i.test(tok)) {
+      let minusCount = parseInt(tok.slice(1), 10);
+      if (minusCount > 4) {
+        warn(
+          "Role&Roll: Negative die can have at most 4 - faces. Using 4 instead."
+        );
+        minusCount = 4;
+      } else if (minusCount < 1) {
+        warn(
+          "Role&Roll: Negative die must have at least 1 - face. Using 1 instead."
+        );
+        minusCount = 1;
+      }
+      specials.push({ kind: "neg", minusCount });
+      continue;
+    }
+
+    warn(`Role&Roll: Ignoring unknown special token "${tok}". Use aX or nX.`);
+  }
+
+  return specials;
+}
+
+export function buildDiceFromTray(total, specialText, warn = toast) {
+  let normalCount = 0;
+  const specials = parseSpecialTokens(specialText, warn);
+
+  if (total > 0) {
+    if (specials.length > total) {
+      warn(
+        "Role&Roll: Number of special dice (a/n) cannot be more than Total dice."
+      );
+      return null;
+    }
+    normalCount = total - specials.length;
+  } else {
+    // no total given
+    if (specials.length === 0) {
+      normalCount = 5; // default
+    } else {
+      normalCount = 0;
+    }
+  }
+
+  const dice = [];
+  for (let i = 0; i < normalCount; i++) {
+    dice.push({ kind: "normal" });
+  }
+  dice.push(...specials);
+
+  if (!dice.length) {
+    warn("Role&Roll: No dice to roll.");
+    return null;
+  }
+
+  if (dice.length > 50) {
+    warn("Role&Roll: Too many dice requested (max 50).");
+    return null;
+  }
+
+  return dice;
+}
+
+// Difficulty input: blank = no difficulty, otherwise a number ≥ 0
+export function parseDifficulty(value) {
+  if (value === null || value === undefined || String(value).trim() === "") return null;
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n) || n < 0) return null;
+  return n;
+}
@@ -2,376 +2,62 @@
 // Role&Roll Dice System Logic
 // ===============================
 
-// Keep value between min and max
-function clamp(v, min, max) {
-  v = Number(v ?? 0);
-  if (Number.isNaN(v)) v = 0;
-  return Math.max(min, Math.min(max, v));
-}
-
-// Build the 6 faces for a single die configuration.
-// All dice start as: ["1", "", "", "", "", "R"]
-// kind = "normal" | "adv" | "neg"
-// adv: plusCount = 1..4   → "+" on that many blank faces
-// neg: minusCount = 1..4  → "-" on that many blank faces
-function buildDieFaces(config = {}) {
-  const kind = config.kind ?? "normal";
-  const faces = ["1", "", "", "", "", "R"]; // index 0..5 (die sides 1..6)
-
-  if (kind === "adv") {
-    let plusCount = config.plusCount ?? 1;
-    plusCount = clamp(plusCount, 1, 4);
-    for (let i = 0; i < plusCount; i++) {
-      faces[1 + i] = "+"; // positions 2–5
-    }
-  } else if (kind === "neg") {
-    let minusCount = config.minusCount ?? 1;
-    minusCount = clamp(minusCount, 1, 4);
-    for (let i = 0; i < minusCount; i++) {
-      faces[1 + i] = "-"; // positions 2–5
-    }
-  }
-
-  return faces;
-}
-
-// Convert numeric d6 result (1–6) to face label
-function faceForRoll(config, value) {
-  const faces = buildDieFaces(config);
-  const index = clamp(value, 1, 6) - 1;
-  return faces[index];
-}
-
-// Render a single die face as a small square HTML block
-function faceToDieHtml(f) {
-  let symbol = "&nbsp;";
-  let extraClass = "";
-
-  if (f === "1") {
-    symbol = "●";            // 1 point = dot
-    extraClass = "role-roll-face-point";
-  } else if (f === "R") {
-    symbol = "Ⓡ";            // reroll symbol
-    extraClass = "role-roll-face-reroll";
-  } else if (f === "+") {
-    symbol = "+";            // advantage
-    extraClass = "role-roll-face-plus";
-  } else if (f === "-") {
-    symbol = "−";            // negative
-    extraClass = "role-roll-face-minus";
-  } else {
-    extraClass = "role-roll-face-blank"; // blank
-  }
-
-  return `<span class="role-roll-die ${extraClass}">${symbol}</span>`;
-}
-
-// Score faces using the same rules as the web roller:
-// - "1" = 1 point
-// - "R" = 1 point + 1 reroll
-// - "+" / "-" only affect score if basePoints > 0
-// - blank = 0
-function scoreFaces(faces) {
-  let basePoints = 0;
-  let plusCount = 0;
-  let minusCount = 0;
-  let rerollCount = 0;
-
-  for (const f of faces) {
-    if (f === "1") {
-      basePoints++;
-    } else if (f === "R") {
-      basePoints++;
-      rerollCount++;
-    } else if (f === "+") {
-      plusCount++;
-    } else if (f === "-") {
-      minusCount++;
-    }
-  }
-
-  let total = 0;
-  if (basePoints > 0) {
-    total = basePoints + plusCount - minusCount;
-    if (total < 0) total = 0; // no negative totals
-  }
-
-  return { basePoints, plusCount, minusCount, rerollCount, total };
-}
-
-// ----------------------------------------
-// Interactive rolling with reroll dialog
-// ----------------------------------------
-
-// Internal: roll ONE round of dice, return { round, rerollConfigs }
-async function _rollOneRound(actor, diceConfigs) {
-  const thisRound = [];
-  const rerollConfigs = [];
-
-  for (const config of diceConfigs) {
-    const roll = await (new Roll("1d6")).evaluate({ async: true });
-
-    // Show 3D dice via Dice So Nice
-    if (game.dice3d) {
-      game.dice3d.showForRoll(roll, game.user, true);
-    }
-
-    const value = roll.total;
-    const face = faceForRoll(config, value);
-
-    thisRound.push({ config, roll: value, face });
-
-    if (face === "R") {
-      // same die config will be used in the next round
-      rerollConfigs.push({ ...config });
-    }
-  }
-
-  return { round: thisRound, rerollConfigs };
-}
-
-// Internal: finalize scoring & send chat message
-async function _finalizeAndSend(actor, rounds, bonusSuccess, bonusPenalty) {
-  const baseFaces = rounds[0] ? rounds[0].map(r => r.face) : [];
-  const rerollFaces = rounds.slice(1).flat().map(r => r.face);
-  const allFaces = baseFaces.concat(rerollFaces);
-
-  const scoringBase = scoreFaces(allFaces);
-  const diceTotal = scoringBase.total;
-
-  const baseScore = baseFaces.reduce(
-    (s, f) => s + ((f === "1" || f === "R") ? 1 : 0),
-    0
-  );
-  const rerollPoints = rerollFaces.reduce(
-    (s, f) => s + ((f === "1" || f === "R") ? 1 : 0),
-    0
-  );
-  const plusTokens = allFaces.filter(f => f === "+").length;
-  const minusTokens = allFaces.filter(f => f === "-").length;
-  const rerollCount = allFaces.filter(f => f === "R").length;
-
-  let success = Number.isFinite(+bonusSuccess) ? +bonusSuccess : 0;
-  let penalty = Number.isFinite(+bonusPenalty) ? +bonusPenalty : 0;
-  if (success < 0) success = 0;
-  if (penalty < 0) penalty = 0;
-
-  let finalTotal = diceTotal + success - penalty;
-  if (finalTotal < 0) finalTotal = 0;
-
-  // Build HTML rows
-  let rowsHtml = "";
-  rounds.forEach((round, idx) => {
-    if (!round.length) return;
-    const facesHtml = round.map(r => faceToDieHtml(r.face)).join("");
-
-    let label = "";
-    if (idx === 0) {
-      label = "";
-    } else {
-      label = `<em>(reroll ${idx})</em>&nbsp;`;
-    }
-
-    rowsHtml += `
-  <div class="role-roll-dice-row">
-    ${label}${facesHtml}
-  </div>`;
-  });
-
-  const html = `
-<div class="role-roll-chat">
-  <div class="role-roll-header"><strong>Role&amp;Roll Dice Pool</strong></div>
-  ${rowsHtml}
-  <div>You triggered ${rerollCount} reroll${rerollCount === 1 ? "" : "s"}.</div>
-  <div>Base from first roll (● + Ⓡ): ${baseScore}</div>
-  <div>Extra points from rerolls: ${rerollPoints}</div>
-  <div>Tokens: +${plusTokens} / -${minusTokens}</div>
-  <div>Succ/Pen: +${success} / -${penalty}</div>
-  <div class="role-roll-total">
-    Dice total: ${diceTotal} point${diceTotal === 1 ? "" : "s"}<br/>
-    Final total: ${finalTotal} point${finalTotal === 1 ? "" : "s"}
-  </div>
-</div>`;
-
-  const speaker = actor
-    ? ChatMessage.getSpeaker({ actor })
-    : ChatMessage.getSpeaker();
-
-  await ChatMessage.create({
-    user: game.user.id,
-    speaker,
-    content: html
-  });
-
-  return {
-    rounds,
-    scoring: {
-      ...scoringBase,
-      baseScore,
-      rerollPoints,
-      plusTokens,
-      minusTokens,
-      rerollCount,
-      success,
-      penalty,
-      diceTotal,
-      finalTotal
-    }
-  };
-}
-
-// Recursive/interactive driver
-async function _runInteractiveRoll({ actor, dice, bonusSuccess, bonusPenalty, rounds = [] }) {
-  // 1. roll current round
-  const { round, rerollConfigs } = await _rollOneRound(actor, dice);
-  rounds.push(round);
-
-  // 2. if no R faces, finalize immediately
-  if (!rerollConfigs.length) {
-    return _finalizeAndSend(actor, rounds, bonusSuccess, bonusPenalty);
-  }
-
-  const rerollCount = rerollConfigs.length;
-
-  // 3. pop up dialog to confirm reroll
-  const content = `
-<p>You got <strong>${rerollCount}</strong> reroll${rerollCount === 1 ? "" : "s"}.</p>
-<p>Press <strong>Reroll</strong> to roll those dice again with the same faces.</p>
-`;
-
-  new Dialog({
-    title: "Role&Roll – Reroll",
-    content,
-    buttons: {
-      reroll: {
-        icon: '<i class="fas fa-dice"></i>',
-        label: `Reroll ${rerollCount} dice`,
-        callback: () => {
-          // run next round with only the dice that had R
-          _runInteractiveRoll({
-            actor,
-            dice: rerollConfigs,
-            bonusSuccess,
-            bonusPenalty,
-            rounds
-          });
-        }
-      },
-      finish: {
-        label: "Finish without reroll",
-        callback: () => {
-          _finalizeAndSend(actor, rounds, bonusSuccess, bonusPenalty);
-        }
-      }
-    },
-    default: "reroll"
-  }).render(true);
-}
-
-// Public entry point
-async function rollRolenrollPool({
-  actor = null,
-  dice = [],
-  bonusSuccess = 0,
-  bonusPenalty = 0
-} = {}) {
-  if (!Array.isArray(dice) || dice.length === 0) {
-    dice = Array.from({ length: 5 }, () => ({ kind: "normal" }));
-  }
-
-  // Start the interactive chain
-  return _runInteractiveRoll({ actor, dice, bonusSuccess, bonusPenalty, rounds: [] });
-}
-
-// ----------------------------------------
-// Helpers to build dice from "tray" inputs
-// ----------------------------------------
-function parseSpecialTokens(specialText) {
-  const specials = [];
-  if (!specialText) return specials;
-
-  const tokens = specialText.split(/[,\s]+/).filter(t => t.length);
-
-  for (const tok of tokens) {
-    if (/^a\d+$/i.test(tok)) {
-      let plusCount = parseInt(tok.slice(1), 10);
-      if (plusCount > 4) {
-        ui.notifications.warn(
-          "Role&Roll: Advantage die can have at most 4 + faces. Using 4 instead."
-        );
-        plusCount = 4;
-      } else if (plusCount < 1) {
-        ui.notifications.warn(
-          "Role&Roll: Advantage die must have at least 1 + face. Using 1 instead."
-        );
-        plusCount = 1;
-      }
-      specials.push({ kind: "adv", plusCount });
-      continue;
-    }
-
-    if (/^n\d+$/i.test(tok)) {
-      let minusCount = parseInt(tok.slice(1), 10);
-      if (minusCount > 4) {
-        ui.notifications.warn(
-          "Role&Roll: Negative die can have at most 4 - faces. Using 4 instead."
-        );
-        minusCount = 4;
-      } else if (minusCount < 1) {
-        ui.notifications.warn(
-          "Role&Roll: Negative die must have at least 1 - face. Using 1 instead."
-        );
-        minusCount = 1;
-      }
-      specials.push({ kind: "neg", minusCount });
-      continue;
-    }
-
-    ui.notifications.warn(`Role&Roll: Ignoring unknown special token "${tok}". Use aX or nX.`);
-  }
-
-  return specials;
-}
-
-function buildDiceFromTray(total, specialText) {
-  let normalCount = 0;
-  const specials = parseSpecialTokens(specialText);
-
-  if (total > 0) {
-    if (specials.length > total) {
-      ui.notifications.warn(
-        "Role&Roll: Number of special dice (a/n) cannot be more than Total dice."
-      );
-      return null;
-    }
-    normalCount = total - specials.length;
-  } else {
-    // no total given
-    if (specials.length === 0) {
-      normalCount = 5; // default
-    } else {
-      normalCount = 0;
-    }
-  }
-
-  const dice = [];
-  for (let i = 0; i < normalCount; i++) {
-    dice.push({ kind: "normal" });
-  }
-  dice.push(...specials);
-
-  if (!dice.length) {
-    ui.notifications.warn("Role&Roll: No dice to roll.");
-    return null;
-  }
-
-  if (dice.length > 50) {
-    ui.notifications.warn("Role&Roll: Too many dice requested (max 50).");
-    return null;
-  }
-
-  return dice;
-}
+import { registerDice } from "./dice.mjs";
+import {
+  getRollData,
+  preloadRollCardTemplates,
+  onRenderChatMessage
+} from "./roll-card.mjs";
+import {
+  rollRolenrollPool,
+  continueRoll,
+  activateRollCardListeners
+} from "./roll-pool.mjs";
+import { registerSettings } from "./settings.mjs";
+import { registerDiceSoNice, applyDiceSoNiceAppearance } from "./dice-so-nice.mjs";
+import {
+  rollOpposed,
+  openOpposedDialog,
+  onRenderOpposedMessage,
+  onUpdateRollMessage
+} from "./opposed.mjs";
+import { onChatMessage } from "./chat-command.mjs";
+import { renderDiceTray, refreshTrayActors } from "./dice-tray.mjs";
+import { resolveRollActor } from "./speaker.mjs";
+import { poolDistribution, chanceToReach } from "./odds.mjs";
+import { registerEnrichers } from "./enrichers.mjs";
+import {
+  requestGroupCheck,
+  openGroupCheckDialog,
+  onRenderGroupCheckMessage,
+  onGroupCheckRollMessage
+} from "./group-check.mjs";
+import { rollCheck, rollAttribute, rollSkill } from "./check-rolls.mjs";
+import { onCheckDragStart, onHotbarDrop } from "./macros.mjs";
+import { registerDataModels } from "./data-models.mjs";
+import { registerSkills, baseAttrAbbreviation } from "./skills.mjs";
+import { skillGroups, getSkillData, ATTRIBUTES } from "./checks.mjs";
+import { openCustomSkillDialog, updateCustomSkill, deleteCustomSkill } from "./custom-skills.mjs";
+import { migrateWorld } from "./migration.mjs";
+import { RolenrollNpcSheet, rollQuickPool } from "./npc-sheet.mjs";
+import {
+  RolenrollItemSheet,
+  ITEM_TYPE_LABELS,
+  ITEM_SECTION_LABELS,
+  itemSummary,
+  preloadItemTemplates
+} from "./item-sheet.mjs";
+import { rollAttack, onRenderAttackMessage } from "./attacks.mjs";
+import { gatherModifiers } from "./modifiers.mjs";
+import { registerSocket } from "./socket.mjs";
+import { onHiddenDifficultyMessage } from "./hidden-difficulty.mjs";
+import {
+  configureActiveEffects,
+  preloadEffectTemplates,
+  effectiveValue,
+  effectsContext,
+  activateEffectListeners
+} from "./effects.mjs";
 
 // ----------------------------------------
 // Role&Roll Actor Sheet
@@ -390,6 +76,56 @@ class RolenrollActorSheet extends ActorSheet {
   getData(options = {}) {
     const context = super.getData(options);
     context.system = this.actor.system;
+
+    // stored values next to their value after active effects
+    context.effective = Object.fromEntries(["hpMax", "wpMax", "defense"].map(key =>
+      [key, effectiveValue(this.actor, `system.${key}`)]
+    ));
+    context.attributes = Object.fromEntries(Object.keys(ATTRIBUTES).map(key =>
+      [key, effectiveValue(this.actor, `system.attributes.${key}.value`)]
+    ));
+
+    // one tab per skill group, one row per skill
+    context.skillGroups = Object.entries(skillGroups()).map(([group, { label, skills }]) => ({
+      group,
+      label,
+      skills: Object.entries(skills).map(([key, skill]) => {
+        const data = getSkillData(this.actor, group, key);
+        const effective = effectiveValue(this.actor, `system.skills.${group}.${key}.value`);
+        return {
+          key,
+          label: skill.label,
+          baseAttr: skill.baseAttr,
+          abbreviation: baseAttrAbbreviation(skill.baseAttr),
+          value: effective.base,
+          effective,
+          success: !!data.success
+        };
+      })
+    }));
+
+    context.customSkills = (this.actor.system.customSkills ?? []).map(skill => ({
+      ...skill,
+      abbreviation: baseAttrAbbreviation(skill.baseAttr)
+    }));
+
+    // Inventory tab: one list per item type
+    const items = [...this.actor.items].sort((a, b) => (a.sort ?? 0) - (b.sort ?? 0));
+    context.itemSections = Object.entries(ITEM_SECTION_LABELS).map(([type, label]) => ({
+      type,
+      label,
+      items: items.filter(item => item.type === type).map(item => ({
+        id: item.id,
+        name: item.name,
+        img: item.img,
+        summary: itemSummary(item),
+        canAttack: item.type === "weapon",
+        canEquip: "equipped" in item.system,
+        equipped: !!item.system.equipped
+      }))
+    }));
+
+    context.effects = effectsContext(this.actor);
     return context;
   }
 
@@ -434,7 +170,8 @@ class RolenrollActorSheet extends ActorSheet {
     html.find(".rr-attr-track").each((_, trackEl) => {
       const $track = $(trackEl);
       const path = $track.data("path");
-      if (!path) return;
+      const customSkillId = trackEl.dataset.customSkill;
+      if (!path && !customSkillId) return;
 
       // current stored value (0–6)
       const current = Number($track.data("value")) || 0;
@@ -461,10 +198,9 @@ class RolenrollActorSheet extends ActorSheet {
           newVal = clickedValue;    // jump to that many circles
         }
 
-        if (newVal < 0) newVal = 0;
-        if (newVal > 6) newVal = 6;
-
-        await actor.update({ [path]: newVal });
+        // the data model keeps the value within 0–6
+        if (customSkillId) await updateCustomSkill(actor, customSkillId, { value: newVal });
+        else await actor.update({ [path]: newVal });
 
         $track.data("value", newVal);
         $track.find(".rr-circle").each((i, cEl) => {
@@ -474,91 +210,9 @@ class RolenrollActorSheet extends ActorSheet {
       });
     });
 
-    // ----------- Small helpers for attributes & skills -----------
-    const getAttrValueSingle = (key) =>
-      Number(actor.system?.attributes?.[key]?.value) || 0;
-
-    // can accept "dexterity" or "dexterity,intellect" and returns the highest
-    const getAttrValueFromKeyString = (keyString) => {
-      if (!keyString) return 0;
-      const keys = String(keyString)
-        .split(",")
-        .map(k => k.trim())
-        .filter(Boolean);
-      if (!keys.length) return 0;
-      let best = 0;
-      for (const k of keys) {
-        const v = getAttrValueSingle(k);
-        if (v > best) best = v;
-      }
-      return best;
-    };
-
-    const getSkillData = (group, key) =>
-      actor.system?.skills?.[group]?.[key] || { value: 0, success: false };
-
     // ---------------- Attribute Mod Roll dialog ----------------
     const openModDialog = (attrKey) => {
-      const attrData = actor.system?.attributes?.[attrKey] || {};
-      const baseDice = Number(attrData.value) || 0;
-      const baseSuccess = attrData.success ? 1 : 0;
-
-      const content = `
-<form class="rr-mod-roll-form">
-  <div class="form-group">
-    <label>Total dice:</label>
-    <input type="number" name="total" value="${baseDice}" min="0" max="50"/>
-  </div>
-  <div class="form-group">
-    <label>Special dice:</label>
-    <input type="text" name="special" placeholder="e.g. a1 a2 n1"/>
-  </div>
-  <div class="form-group">
-    <label>Success:</label>
-    <input type="number" name="success" value="${baseSuccess}" min="0"/>
-  </div>
-  <div class="form-group">
-    <label>Penalty:</label>
-    <input type="number" name="penalty" value="0" min="0"/>
-  </div>
-</form>
-`;
-
-      new Dialog({
-        title: `Role&Roll – ${attrKey} (modified roll)`,
-        content,
-        buttons: {
-          roll: {
-            icon: '<i class="fas fa-dice"></i>',
-            label: "Roll",
-            callback: (htmlDlg) => {
-              const form = htmlDlg[0].querySelector("form");
-              if (!form) return;
-
-              const total = parseInt(form.total.value || "0", 10) || 0;
-              const specialText = String(form.special.value || "").trim();
-              let success = parseInt(form.success.value || "0", 10);
-              let penalty = parseInt(form.penalty.value || "0", 10);
-              if (!Number.isFinite(success) || success < 0) success = 0;
-              if (!Number.isFinite(penalty) || penalty < 0) penalty = 0;
-
-              const dice = buildDiceFromTray(total, specialText);
-              if (!dice) return;
-
-              game.rolenroll.rollPool({
-                actor,
-                dice,
-                bonusSuccess: success,
-                bonusPenalty: penalty
-              });
-            }
-          },
-          cancel: {
-            label: "Cancel"
-          }
-        },
-        default: "roll"
-      }).render(true);
+      rollCheck(actor, { type: "attribute", key: attrKey }, { modified: true });
     };
 
     // ---------------- Attribute instant rolls ----------------
@@ -566,24 +220,7 @@ class RolenrollActorSheet extends ActorSheet {
       const btn = ev.currentTarget;
       const attrKey = btn.dataset.attr;
       if (!attrKey) return;
-
-      const attrData = actor.system?.attributes?.[attrKey] || {};
-      const baseDice = Number(attrData.value) || 0;
-      const baseSuccess = attrData.success ? 1 : 0;
-
-      if (baseDice <= 0) {
-        ui.notifications.warn(`Role&Roll: ${attrKey} has 0 dice.`);
-        return;
-      }
-
-      const dice = Array.from({ length: baseDice }, () => ({ kind: "normal" }));
-
-      game.rolenroll.rollPool({
-        actor,
-        dice,
-        bonusSuccess: baseSuccess,
-        bonusPenalty: 0
-      });
+      rollCheck(actor, { type: "attribute", key: attrKey });
     });
 
     // ---------------- Attribute modified rolls ----------------
@@ -596,66 +233,8 @@ class RolenrollActorSheet extends ActorSheet {
 
     // ---------------- Skill Mod Roll dialog ----------------
     const openSkillModDialog = (group, skillKey, baseAttrKeyString) => {
-      const skill = getSkillData(group, skillKey);
-      const skillVal = Number(skill.value) || 0;
-      const attrVal  = getAttrValueFromKeyString(baseAttrKeyString);
-      const baseDice = skillVal + attrVal;
-      const baseSuccess = skill.success ? 1 : 0;
-
-      const content = `
-<form class="rr-mod-roll-form">
-  <div class="form-group">
-    <label>Total dice:</label>
-    <input type="number" name="total" value="${baseDice}" min="0" max="50"/>
-  </div>
-  <div class="form-group">
-    <label>Special dice:</label>
-    <input type="text" name="special" placeholder="e.g. a1 a2 n1"/>
-  </div>
-  <div class="form-group">
-    <label>Success:</label>
-    <input type="number" name="success" value="${baseSuccess}" min="0"/>
-  </div>
-  <div class="form-group">
-    <label>Penalty:</label>
-    <input type="number" name="penalty" value="0" min="0"/>
-  </div>
-</form>
-`;
-
-      new Dialog({
-        title: `Role&Roll – ${skillKey} (modified roll)`,
-        content,
-        buttons: {
-          roll: {
-            icon: '<i class="fas fa-dice"></i>',
-            label: "Roll",
-            callback: (htmlDlg) => {
-              const form = htmlDlg[0].querySelector("form");
-              if (!form) return;
-
-              const total = parseInt(form.total.value || "0", 10) || 0;
-              const specialText = String(form.special.value || "").trim();
-              let success = parseInt(form.success.value || "0", 10);
-              let penalty = parseInt(form.penalty.value || "0", 10);
-              if (!Number.isFinite(success) || success < 0) success = 0;
-              if (!Number.isFinite(penalty) || penalty < 0) penalty = 0;
-
-              const dice = buildDiceFromTray(total, specialText);
-              if (!dice) return;
-
-              game.rolenroll.rollPool({
-                actor,
-                dice,
-                bonusSuccess: success,
-                bonusPenalty: penalty
-              });
-            }
-          },
-          cancel: { label: "Cancel" }
-        },
-        default: "roll"
-      }).render(true);
+      const check = { type: "skill", group, key: skillKey, baseAttr: baseAttrKeyString };
+      rollCheck(actor, check, { modified: true });
     };
 
     // ---------------- Instant skill rolls ----------------
@@ -667,26 +246,14 @@ class RolenrollActorSheet extends ActorSheet {
       const baseAttrKeyString = btn.dataset.baseAttr;
       if (!group || !skillKey || !baseAttrKeyString) return;
 
-      const skill = getSkillData(group, skillKey);
-      const skillVal = Number(skill.value) || 0;
-      const attrVal  = getAttrValueFromKeyString(baseAttrKeyString);
-      const baseDice = skillVal + attrVal;
-      const baseSuccess = skill.success ? 1 : 0;
-
-      if (baseDice <= 0) {
-        ui.notifications.warn(
-          `Role&Roll: ${skillKey} has 0 total dice (skill + attribute).`
-        );
-        return;
-      }
-
-      const dice = Array.from({ length: baseDice }, () => ({ kind: "normal" }));
-      game.rolenroll.rollPool({
-        actor,
-        dice,
-        bonusSuccess: baseSuccess,
-        bonusPenalty: 0
-      });
+      const check = { type: "skill", group, key: skillKey, baseAttr: baseAttrKeyString };
+      rollCheck(actor, check);
+    });
+
+    // ---------------- Opposed roll against the targeted token ----------------
+    html.find(".rr-opposed-roll").on("click", (ev) => {
+      ev.preventDefault();
+      openOpposedDialog(actor);
     });
 
     // ---------------- Modified skill rolls ----------------
@@ -698,6 +265,85 @@ class RolenrollActorSheet extends ActorSheet {
       if (!group || !skillKey || !baseAttrKeyString) return;
       openSkillModDialog(group, skillKey, baseAttrKeyString);
     });
+
+    // ---------------- Custom skills ----------------
+    html.find(".rr-custom-skill-add").on("click", (ev) => {
+      ev.preventDefault();
+      openCustomSkillDialog(actor);
+    });
+
+    html.find(".rr-custom-skill-edit").on("click", (ev) => {
+      ev.preventDefault();
+      openCustomSkillDialog(actor, ev.currentTarget.dataset.skill);
+    });
+
+    html.find(".rr-custom-skill-delete").on("click", async (ev) => {
+      ev.preventDefault();
+      const id = ev.currentTarget.dataset.skill;
+      const skill = actor.system.customSkills.find(s => s.id === id);
+      const escape = (text) => foundry.utils.escapeHTML?.(text) ?? text;
+      const confirmed = await Dialog.confirm({
+        title: "Delete skill",
+        content: `<p>Delete the skill "${escape(skill?.label ?? id)}" of ${escape(actor.name)}?</p>`
+      });
+      if (confirmed) deleteCustomSkill(actor, id);
+    });
+
+    // not part of the form: the list is written back as a whole
+    html.find(".rr-custom-skill-success").on("change", (ev) => {
+      updateCustomSkill(actor, ev.currentTarget.dataset.skill, { success: ev.currentTarget.checked });
+    });
+
+    // ---------------- Inventory & abilities ----------------
+    html.find(".rr-item-edit").on("click", (ev) => {
+      ev.preventDefault();
+      const id = ev.currentTarget.closest(".item").dataset.itemId;
+      actor.items.get(id)?.sheet.render(true);
+    });
+
+    html.find(".rr-item-attack").on("click", (ev) => {
+      ev.preventDefault();
+      rollAttack(actor, actor.items.get(ev.currentTarget.closest(".item").dataset.itemId));
+    });
+
+    html.find(".rr-item-equip").on("click", (ev) => {
+      ev.preventDefault();
+      const item = actor.items.get(ev.currentTarget.closest(".item").dataset.itemId);
+      item?.update({ "system.equipped": !item.system.equipped });
+    });
+
+    html.find(".rr-item-delete").on("click", async (ev) => {
+      ev.preventDefault();
+      const item = actor.items.get(ev.currentTarget.closest(".item").dataset.itemId);
+      if (!item) return;
+      const escape = (text) => foundry.utils.escapeHTML?.(text) ?? text;
+      const confirmed = await Dialog.confirm({
+        title: "Delete item",
+        content: `<p>Delete "${escape(item.name)}" from ${escape(actor.name)}?</p>`
+      });
+      if (confirmed) item.delete();
+    });
+
+    html.find(".rr-item-create").on("click", async (ev) => {
+      ev.preventDefault();
+      const type = ev.currentTarget.dataset.type;
+      const [item] = await actor.createEmbeddedDocuments("Item", [{
+        name: `New ${ITEM_TYPE_LABELS[type] ?? type}`,
+        type
+      }]);
+      item?.sheet.render(true);
+    });
+
+    // ---------------- Active effects ----------------
+    activateEffectListeners(html, actor);
+
+    // ---------------- Drag rolls to the hotbar ----------------
+    // the row drags an instant roll, its Mod Roll button a modified one
+    html.find(".rr-attr-roll, .rr-skill-roll").closest(".rr-attr-row").each((_, row) => {
+      row.setAttribute("draggable", "true");
+      row.addEventListener("dragstart", (ev) => onCheckDragStart(ev, actor), false);
+    });
+    html.find(".rr-attr-roll-mod, .rr-skill-roll-mod").attr("draggable", "true");
   }
 }
 
@@ -707,8 +353,47 @@ class RolenrollActorSheet extends ActorSheet {
 Hooks.once("init", () => {
   console.log("Role&Roll | Initializing system, dice logic, and actor sheet");
 
+  registerSettings();
+
+  // Skill groups from the defaults and the world's renamed / added skills
+  registerSkills();
+
+  // Validated system data of actors (ranges, integers, HP / WP ≤ max)
+  registerDataModels();
+
+  // Item effects apply to their owner (attributes, skills, defense, roll modifiers)
+  configureActiveEffects();
+
+  // Role&Roll dice term ("5dr + 2dra3 + 1drn2") for /roll, inline rolls, tables…
+  registerDice();
+
+  // [[/rr …]] and @RRCheck[…] buttons in journals & chat
+  registerEnrichers();
+
   game.rolenroll = game.rolenroll || {};
   game.rolenroll.rollPool = rollRolenrollPool;
+  game.rolenroll.continueRoll = continueRoll;
+  game.rolenroll.getRollData = getRollData;
+  game.rolenroll.rollOpposed = rollOpposed;
+  game.rolenroll.openOpposedDialog = openOpposedDialog;
+  game.rolenroll.requestGroupCheck = requestGroupCheck;
+  game.rolenroll.openGroupCheckDialog = openGroupCheckDialog;
+  game.rolenroll.rollAttribute = rollAttribute;
+  game.rolenroll.rollSkill = rollSkill;
+  game.rolenroll.rollQuickPool = rollQuickPool;
+  game.rolenroll.rollAttack = (actorUuid, itemIdOrName) => {
+    const actor = fromUuidSync(actorUuid);
+    const item = actor?.items.get(itemIdOrName) ?? actor?.items.getName(itemIdOrName);
+    return rollAttack(actor, item);
+  };
+  game.rolenroll.gatherModifiers = gatherModifiers;
+  game.rolenroll.resolveActor = resolveRollActor;
+  game.rolenroll.poolDistribution = poolDistribution;
+  game.rolenroll.chanceToReach = chanceToReach;
+
+  preloadRollCardTemplates();
+  preloadItemTemplates();
+  preloadEffectTemplates();
 
   // Register our custom actor sheet and make it the default for this system
   Actors.unregisterSheet("core", ActorSheet);
@@ -716,6 +401,48 @@ Hooks.once("init", () => {
     types: ["character"],
     makeDefault: true
   });
+  Actors.registerSheet("rolenroll_test", RolenrollNpcSheet, {
+    types: ["npc"],
+    makeDefault: true
+  });
+
+  Items.unregisterSheet("core", ItemSheet);
+  Items.registerSheet("rolenroll_test", RolenrollItemSheet, {
+    types: Object.keys(ITEM_TYPE_LABELS),
+    makeDefault: true
+  });
+});
+
+// ----------------------------------------------------
+// Ready: bring older worlds up to the current data schema
+// ----------------------------------------------------
+Hooks.once("ready", () => {
+  // GM actions requested by players (e.g. applying damage)
+  registerSocket();
+  migrateWorld();
+});
+
+// Rebuild Role&Roll chat cards from their stored flags,
+// then wire up the Reroll / Finish buttons of pending rolls
+Hooks.on("renderChatMessage", async (message, html) => {
+  await onRenderChatMessage(message, html);
+  await onRenderAttackMessage(message, html);
+  await onRenderOpposedMessage(message, html);
+  await onRenderGroupCheckMessage(message, html);
+  activateRollCardListeners(message, html);
+});
+
+// A finished roll may complete an opposed roll or a group check
+Hooks.on("updateChatMessage", (message) => {
+  onUpdateRollMessage(message);
+  onGroupCheckRollMessage(message);
+});
+
+// A member of a group check posted their roll,
+// or a hidden difficulty reached the GMs
+Hooks.on("createChatMessage", (message) => {
+  onGroupCheckRollMessage(message);
+  onHiddenDifficultyMessage(message);
 });
 
 // Ensure every new Actor has a type (default: "character")
@@ -726,125 +453,31 @@ Hooks.on("preCreateActor", (actor, data, options, userId) => {
 });
 
 // ----------------------------------------------------
-// Chat command /rr  (still works)
+// Sheet rolls dropped on the hotbar become macros
 // ----------------------------------------------------
-Hooks.on("chatMessage", (chatLog, content, chatData) => {
-  if (!content.startsWith("/rr")) return;
-
-  const parts = content.trim().split(/\s+/);
-  const args = parts.slice(1);
-
-  let totalDice = null;
-  const specialsTokens = [];
-
-  for (const arg of args) {
-    if (/^\d+$/.test(arg)) {
-      if (totalDice === null) {
-        totalDice = parseInt(arg, 10);
-      } else {
-        ui.notifications.warn(
-          "Role&Roll: Only the first number is used as the total dice count."
-        );
-      }
-      continue;
-    }
-    specialsTokens.push(arg);
-  }
+Hooks.on("hotbarDrop", onHotbarDrop);
 
-  const specialText = specialsTokens.join(" ");
-  const dice = buildDiceFromTray(totalDice ?? 0, specialText);
-  if (!dice) return false;
-
-  const actor = game.user.character ?? null;
-  game.rolenroll.rollPool({ actor, dice });
-
-  return false;
-});
+// ----------------------------------------------------
+// Chat command /rr  (see chat-command.mjs for the grammar)
+// ----------------------------------------------------
+Hooks.on("chatMessage", onChatMessage);
 
 // ----------------------------------------------------
 // Role&Roll Dice Tray injected into Chat sidebar
 // ----------------------------------------------------
-Hooks.on("renderChatLog", (app, html, data) => {
-  // avoid duplicating the tray
-  if (html.find("#role-roll-tray").length) return;
-
-  const trayHtml = $(`
-<div id="role-roll-tray" class="role-roll-tray">
-  <div class="role-roll-tray-header"><strong>Role&Roll Dice Tray</strong></div>
-  <div class="form-group">
-    <label>Total:</label>
-    <input type="number" name="rr-total" value="5" min="0" max="50"/>
-  </div>
-  <div class="form-group">
-    <label>Special:</label>
-    <input type="text" name="rr-special" placeholder="e.g. a1 a2 n1"/>
-  </div>
-  <div class="form-group">
-    <label>Success:</label>
-    <input type="number" name="rr-success" value="0" min="0"/>
-  </div>
-    <div class="form-group">
-    <label>Penalty:</label>
-    <input type="number" name="rr-penalty" value="0" min="0"/>
-  </div>
-  <div class="form-group">
-    <button type="button" class="role-roll-tray-roll">
-      <i class="fas fa-dice"></i> Roll
-    </button>
-  </div>
-  <hr/>
-</div>
-`);
-
-  // Insert tray above the chat input form
-  const chatForm = html.find("#chat-form");
-  if (chatForm.length) {
-    trayHtml.insertBefore(chatForm);
-  } else {
-    html.append(trayHtml);
-  }
+Hooks.on("renderChatLog", renderDiceTray);
 
-  // Attach handler
-  trayHtml.find(".role-roll-tray-roll").on("click", () => {
-    const total = parseInt(trayHtml.find('input[name="rr-total"]').val(), 10) || 0;
-    const specialText = String(trayHtml.find('input[name="rr-special"]').val() || "").trim();
-    let success = parseInt(trayHtml.find('input[name="rr-success"]').val(), 10);
-    let penalty = parseInt(trayHtml.find('input[name="rr-penalty"]').val(), 10);
-    if (!Number.isFinite(success)) success = 0;
-    if (!Number.isFinite(penalty)) penalty = 0;
-    if (success < 0) success = 0;
-    if (penalty < 0) penalty = 0;
-
-    const dice = buildDiceFromTray(total, specialText);
-    if (!dice) return;
-
-    const actor = game.user.character ?? null;
-    game.rolenroll.rollPool({
-      actor,
-      dice,
-      bonusSuccess: success,
-      bonusPenalty: penalty
-    });
-  });
-});
+// keep the tray's actor picker in step with token selection
+Hooks.on("controlToken", refreshTrayActors);
+Hooks.on("createActor", refreshTrayActors);
+Hooks.on("deleteActor", refreshTrayActors);
 
 // ----------------------------------------------------
 // Role&Roll – Dice So Nice integration
 // ----------------------------------------------------
-Hooks.once("diceSoNiceReady", (dice3d) => {
-  console.log("Role&Roll | Registering custom d6 with Dice So Nice");
+Hooks.once("diceSoNiceReady", registerDiceSoNice);
 
-  dice3d.addSystem({
-    id: "rolenroll_test",      // MUST match system.json "id"
-    name: "Role&Roll"
-  });
-
-  // Base Role&Roll die: ["1", "", "", "", "", "R"]
-  const baseLabels = ["1", "", "", "", "", "R"];
-
-  dice3d.addDicePreset({
-    type: "d6",
-    system: "rolenroll_test",
-    labels: baseLabels
-  });
-});
\ No newline at end of file
+// /roll, inline rolls & tables: give "dr" dice their per-config look too
+Hooks.on("diceSoNiceRollStart", (messageId, context) => {
+  applyDiceSoNiceAppearance(context?.roll);
+});
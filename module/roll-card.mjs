@@ -0,0 +1,207 @@
+// ===============================
+// Role&Roll chat card – message flags & template
+// ===============================
+
+import { faceSymbol, faceCssClass, checkDifficulty } from "./dice.mjs";
+import { SYSTEM_ID, systemPath, handlebars } from "./config.mjs";
+import { getHiddenDifficulty } from "./hidden-difficulty.mjs";
+
+export const ROLL_CARD_TEMPLATE = systemPath("templates/roll-card.hbs");
+
+// Bump when the shape of flags.rolenroll_test.roll changes
+export const ROLL_FLAG_VERSION = 4;
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+// ----------------------------------------
+// Flag data
+// ----------------------------------------
+
+// Everything needed to rebuild the card, stored under
+// message.flags.rolenroll_test.roll:
+// {
+//   version, actorUuid,
+//   status:  "pending" | "final"
+//   dice:    [{ kind, plusCount?, minusCount? }, …]   (initial pool)
+//   rounds:  [[{ config, roll, face }, …], …]         (raw d6 + face per round)
+//   pending: [{ kind, … }, …]                         (dice waiting for a reroll)
+//   bonusSuccess, bonusPenalty,
+//   scoring: { basePoints, …, diceTotal, finalTotal } (see scoreRounds)
+//   difficulty:       number | null                  (null when hidden)
+//   hiddenDifficulty: true → difficulty & outcome are only in a GM-only
+//                     companion message (see hidden-difficulty.mjs)
+//   outcome:          { passed, margin } | null      (see checkDifficulty; null when hidden)
+//   ladder:           { id, name, tiers } | null      (outcome ladder used)
+//   tier:             { min, label, description } | null (tier reached)
+//   rerollPolicy:     { mode, keepFaces, maxDepth }  (see getRerollPolicy)
+//   capped:           true → R faces were left when the chain hit maxDepth
+//   rollMode:         "publicroll" | "gmroll" | "blindroll" | "selfroll"
+//   modifiers:        [{ source, label }, …]         (item modifiers included)
+// }
+// Next to it, flags.rolenroll_test.controllerId (optional): the user who
+// continues the roll instead of its author (e.g. the target of an opposed roll).
+export function buildRollFlag({
+  actor = null,
+  actorUuid = null,
+  status = "final",
+  dice = [],
+  rounds = [],
+  pending = [],
+  bonusSuccess = 0,
+  bonusPenalty = 0,
+  scoring,
+  difficulty = null,
+  hiddenDifficulty = false,
+  outcome = null,
+  ladder = null,
+  tier = null,
+  rerollPolicy = null,
+  capped = false,
+  rollMode = "publicroll",
+  modifiers = []
+}) {
+  return {
+    version: ROLL_FLAG_VERSION,
+    actorUuid: actor?.uuid ?? actorUuid,
+    status,
+    dice: dice.map(d => ({ ...d })),
+    rounds: rounds.map(round => round.map(r => ({ config: { ...r.config }, roll: r.roll, face: r.face }))),
+    pending: status === "pending" ? pending.map(d => ({ ...d })) : [],
+    bonusSuccess,
+    bonusPenalty,
+    scoring: { ...scoring },
+    difficulty: hiddenDifficulty ? null : difficulty,
+    hiddenDifficulty: !!hiddenDifficulty,
+    outcome: outcome && !hiddenDifficulty ? { ...outcome } : null,
+    ladder: ladder ? { ...ladder, tiers: ladder.tiers.map(t => ({ ...t })) } : null,
+    tier: tier ? { ...tier } : null,
+    rerollPolicy: rerollPolicy ? { ...rerollPolicy } : null,
+    capped: !!capped,
+    rollMode,
+    modifiers: modifiers.map(m => ({ source: m.source, label: m.label }))
+  };
+}
+
+// Read the roll data back out of a ChatMessage (or null if it is not ours)
+export function getRollData(message) {
+  return message?.getFlag?.(SYSTEM_ID, "roll") ?? null;
+}
+
+// Only the player who rolled (or the card's controller) and the GM may press
+// Reroll / Finish. A blind roll is hidden from its roller, so only the GM can
+// continue it.
+export function canControlRoll(message, user = game.user) {
+  if (user.isGM) return true;
+  if (getRollData(message)?.rollMode === "blindroll") return false;
+  const controllerId = message.getFlag?.(SYSTEM_ID, "controllerId") ?? (message.author ?? message.user)?.id;
+  return controllerId === user.id;
+}
+
+// Short label shown on non-public cards
+const ROLL_MODE_LABELS = {
+  gmroll: "GM only",
+  blindroll: "Blind",
+  selfroll: "Self"
+};
+
+// One-line summary of a roll's reroll policy, e.g.
+// "Rerolls: automatic, max 10, as normal dice"
+const REROLL_MODE_LABELS = {
+  prompt: "on request",
+  auto: "automatic",
+  none: "off"
+};
+
+function rerollPolicyText(policy) {
+  if (!policy) return "";
+  if (policy.mode === "none") return "Rerolls: off";
+  const faces = policy.keepFaces ? "same faces" : "as normal dice";
+  return `Rerolls: ${REROLL_MODE_LABELS[policy.mode] ?? policy.mode}, max ${policy.maxDepth}, ${faces}`;
+}
+
+// ----------------------------------------
+// Rendering
+// ----------------------------------------
+
+// Template context for a stored roll.
+// A hidden difficulty is not in the stored data: everyone sees "?", except
+// GM clients, which fill it in from its companion (see withHiddenDifficulty).
+export function rollCardContext(data, { user = game.user } = {}) {
+  const s = data.scoring ?? {};
+
+  const rounds = (data.rounds ?? [])
+    .map((round, idx) => ({
+      label: idx === 0 ? "" : `reroll ${idx}`,
+      faces: round.map(r => ({ symbol: faceSymbol(r.face), css: faceCssClass(r.face), roll: r.roll }))
+    }))
+    .filter(r => r.faces.length);
+
+  const pendingCount = data.pending?.length ?? 0;
+
+  // blind rolls: only the GM sees the dice and totals
+  const blindHidden = data.rollMode === "blindroll" && !user?.isGM;
+
+  const showDifficulty = data.difficulty !== null && data.difficulty !== undefined;
+  const hasDifficulty = showDifficulty || !!data.hiddenDifficulty;
+  const outcome = showDifficulty ? data.outcome : null;
+  const margin = outcome?.margin ?? 0;
+
+  return {
+    ...data,
+    rounds,
+    isPending: data.status === "pending",
+    blindHidden,
+    rollModeLabel: ROLL_MODE_LABELS[data.rollMode] ?? "",
+    pendingCount,
+    pendingText: `${pendingCount} ${pendingCount === 1 ? "die" : "dice"}`,
+    pendingFacesText: data.rerollPolicy?.keepFaces === false ? "as normal dice" : "with the same faces",
+    policyText: rerollPolicyText(data.rerollPolicy),
+    cappedText: data.capped ? `Reroll chain stopped at ${plural(data.rerollPolicy?.maxDepth ?? 0, "reroll")}.` : "",
+    scoring: s,
+    rerollText: plural(s.rerollCount ?? 0, "reroll"),
+    diceTotalText: plural(s.diceTotal ?? 0, "point"),
+    finalTotalText: plural(s.finalTotal ?? 0, "point"),
+    hasDifficulty,
+    showDifficulty,
+    outcome,
+    // the tier is only settled once no rerolls are pending
+    showTier: !!data.tier && data.status !== "pending",
+    verdictText: outcome ? (outcome.passed ? "Success" : "Failure") : "",
+    verdictClass: outcome ? (outcome.passed ? "role-roll-success" : "role-roll-failure") : "role-roll-hidden",
+    marginText: margin > 0 ? `+${margin}` : `${margin}`
+  };
+}
+
+// The stored message content is rendered for a player's eyes (user: null),
+// each client then re-renders it for its own user (see onRenderChatMessage).
+export async function renderRollCard(data, { user = game.user } = {}) {
+  return handlebars.renderTemplate(ROLL_CARD_TEMPLATE, rollCardContext(data, { user }));
+}
+
+export async function preloadRollCardTemplates() {
+  return handlebars.loadTemplates([ROLL_CARD_TEMPLATE]);
+}
+
+// GM clients: the roll data with its hidden difficulty and verdict filled in
+// from the GM-only companion message (unchanged for everyone else)
+export function withHiddenDifficulty(message, data) {
+  if (!data?.hiddenDifficulty) return data;
+  const difficulty = getHiddenDifficulty(message);
+  if (difficulty === null) return data;
+  return { ...data, difficulty, outcome: checkDifficulty(data.scoring?.finalTotal ?? 0, difficulty) };
+}
+
+// Re-render every Role&Roll card from its flags, so cards always match the
+// stored data (and older cards pick up template changes).
+// Reroll / Finish buttons are removed for users who may not press them.
+export async function onRenderChatMessage(message, html) {
+  const data = getRollData(message);
+  if (!data) return;
+
+  const content = html.find(".message-content");
+  content.html(await renderRollCard(withHiddenDifficulty(message, data)));
+
+  if (!canControlRoll(message)) {
+    content.find(".role-roll-card-buttons").remove();
+  }
+}
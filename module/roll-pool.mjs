@@ -0,0 +1,381 @@
+// ===============================
+// Role&Roll pool rolling – persistent chat card with rerolls
+// ===============================
+
+import {
+  faceForRoll,
+  formulaForDice,
+  scoreRounds,
+  checkDifficulty,
+  RolenrollRoll
+} from "./dice.mjs";
+import { SYSTEM_ID } from "./config.mjs";
+import {
+  buildRollFlag,
+  getRollData,
+  canControlRoll,
+  renderRollCard
+} from "./roll-card.mjs";
+import { applyDiceSoNiceAppearance } from "./dice-so-nice.mjs";
+import { resolveLadder, tierForTotal } from "./ladders.mjs";
+import { getSetting } from "./settings.mjs";
+import { parseDifficulty } from "./pool-input.mjs";
+import { storeHiddenDifficulty } from "./hidden-difficulty.mjs";
+import { registerSocketHandler, requestGM } from "./socket.mjs";
+
+// ----------------------------------------
+// One round of dice
+// ----------------------------------------
+
+// Who may see a roll: { rollMode, whisper: [userIds], blind }
+// rollMode = "publicroll" | "gmroll" | "blindroll" | "selfroll"
+// (defaults to the core roll-mode selector in the chat sidebar)
+export function rollModeData(rollMode = game.settings.get("core", "rollMode")) {
+  const data = ChatMessage.applyRollMode({}, rollMode);
+  return { rollMode, whisper: data.whisper ?? [], blind: !!data.blind };
+}
+
+// <select> of the core roll modes, preselected with the current one
+export function rollModeSelectHtml(name = "rollMode", selected = game.settings.get("core", "rollMode")) {
+  const options = Object.entries(CONFIG.Dice.rollModes).map(([mode, cfg]) => {
+    // v13: { label, icon }, older: the i18n key itself
+    const label = game.i18n.localize(cfg?.label ?? cfg);
+    return `<option value="${mode}" ${mode === selected ? "selected" : ""}>${label}</option>`;
+  });
+  return `<select name="${name}">${options.join("")}</select>`;
+}
+
+// Show a roll with Dice So Nice to the same users who can see its card
+export function showDiceSoNice(roll, { whisper = [], blind = false } = {}) {
+  if (!game.dice3d) return;
+  game.dice3d.showForRoll(
+    applyDiceSoNiceAppearance(roll),
+    game.user,
+    true,
+    whisper.length ? whisper : null,
+    blind
+  );
+}
+
+// ----------------------------------------
+// Reroll policy
+// ----------------------------------------
+
+// The world's reroll policy, stored with each roll so a card keeps the
+// rules it was rolled under:
+// { mode: "prompt" | "auto" | "none", keepFaces, maxDepth }
+export function getRerollPolicy() {
+  return {
+    mode: getSetting("rerollMode"),
+    keepFaces: getSetting("rerollKeepFaces"),
+    maxDepth: Number(getSetting("rerollMaxDepth")) || 1
+  };
+}
+
+// Internal: dice still to reroll after the rounds so far
+// (none when rerolls are off or the chain is at its maximum)
+function _nextPending(rounds, rerollConfigs, policy) {
+  if (policy.mode === "none") return [];
+  if (rounds.length - 1 >= policy.maxDepth) return [];
+  return rerollConfigs;
+}
+
+// Internal: roll ONE round of dice, return { round, rerollConfigs }
+// The whole round is a single Role&Roll formula (e.g. "3dr + 1dra2"),
+// so Dice So Nice and other modules see one real roll.
+// visibility = { whisper, blind } of the chat card (see rollModeData)
+// keepFaces: R dice come back with their own config, else as normal dice
+async function _rollOneRound(actor, diceConfigs, visibility = {}, { keepFaces = true } = {}) {
+  const thisRound = [];
+  const rerollConfigs = [];
+
+  const roll = await (new RolenrollRoll(formulaForDice(diceConfigs))).evaluate({ async: true });
+
+  // Show 3D dice via Dice So Nice
+  showDiceSoNice(roll, visibility);
+
+  // Terms keep the order of diceConfigs, so walk them side by side
+  const values = roll.poolTerms.flatMap(term => term.results.map(r => r.result));
+
+  diceConfigs.forEach((config, i) => {
+    const value = values[i];
+    const face = faceForRoll(config, value);
+
+    thisRound.push({ config, roll: value, face });
+
+    if (face === "R") {
+      // same die config (or a normal die) will be used in the next round
+      rerollConfigs.push(keepFaces ? { ...config } : { kind: "normal" });
+    }
+  });
+
+  return { round: thisRound, rerollConfigs };
+}
+
+// Roll a pool and follow its R chain without asking (auto rerolls,
+// reroll-offs). Respects the policy's "none", keepFaces and maxDepth.
+// Returns { rounds, pending: [], capped }
+export async function rollPoolChain(diceConfigs, { policy = getRerollPolicy(), visibility = {} } = {}) {
+  const rounds = [];
+  let next = diceConfigs;
+  let rerollConfigs = [];
+
+  while (next.length) {
+    const result = await _rollOneRound(null, next, visibility, policy);
+    rounds.push(result.round);
+    rerollConfigs = result.rerollConfigs;
+    next = _nextPending(rounds, rerollConfigs, policy);
+  }
+
+  return { rounds, pending: [], capped: policy.mode !== "none" && rerollConfigs.length > 0 };
+}
+
+// Internal: flag data for the current state of a roll.
+// Any R faces left over keep the card "pending" until Reroll / Finish.
+function _rollState({
+  actor = null,
+  actorUuid = null,
+  rounds,
+  pending = [],
+  finished = false,
+  bonusSuccess,
+  bonusPenalty,
+  difficulty = null,
+  hiddenDifficulty = false,
+  ladder = null,
+  rerollPolicy = null,
+  capped = false,
+  rollMode = "publicroll",
+  modifiers = []
+}) {
+  const scoring = scoreRounds(rounds, bonusSuccess, bonusPenalty);
+  const dice = rounds[0] ? rounds[0].map(r => r.config) : [];
+  const status = (!finished && pending.length) ? "pending" : "final";
+
+  return buildRollFlag({
+    actor,
+    actorUuid,
+    status,
+    dice,
+    rounds,
+    pending,
+    bonusSuccess: scoring.success,
+    bonusPenalty: scoring.penalty,
+    scoring,
+    difficulty,
+    hiddenDifficulty,
+    outcome: checkDifficulty(scoring.finalTotal, difficulty),
+    ladder,
+    tier: ladder ? tierForTotal(ladder, scoring.finalTotal) : null,
+    rerollPolicy,
+    capped,
+    rollMode,
+    modifiers
+  });
+}
+
+// ----------------------------------------
+// Chat card: first post & in-place updates
+// ----------------------------------------
+
+// Internal: post the first round as a chat card (whisper / blind per roll mode)
+// flags: extra system flags linking the card to others (e.g. a group check)
+// or naming its controller, who has to see the card too
+async function _postRoll(actor, rollData, flags = {}) {
+  const speaker = actor
+    ? ChatMessage.getSpeaker({ actor })
+    : ChatMessage.getSpeaker();
+
+  const chatData = {
+    user: game.user.id,
+    speaker,
+    content: await renderRollCard(rollData, { user: null }),
+    flags: { [SYSTEM_ID]: { ...flags, roll: rollData } }
+  };
+  ChatMessage.applyRollMode(chatData, rollData.rollMode);
+  if (flags.controllerId && chatData.whisper?.length && !chatData.blind && !chatData.whisper.includes(flags.controllerId)) {
+    chatData.whisper.push(flags.controllerId);
+  }
+
+  return ChatMessage.create(chatData);
+}
+
+// Internal: write a new roll state onto the same message
+async function _updateRoll(message, rollData) {
+  return message.update({
+    content: await renderRollCard(rollData, { user: null }),
+    [`flags.${SYSTEM_ID}.roll`]: rollData
+  });
+}
+
+// Messages with a Reroll / Finish currently running on this client
+const _busy = new Set();
+
+// Reroll the pending dice of a card (action "reroll") or close it ("finish").
+// A controller who did not post the card asks the GM to update it.
+export async function continueRoll(message, action = "reroll") {
+  const data = getRollData(message);
+  if (!data || data.status !== "pending") return null;
+
+  if (!canControlRoll(message)) {
+    ui.notifications.warn("Role&Roll: Only the roller or the GM can continue this roll.");
+    return null;
+  }
+
+  if (!message.isAuthor && !game.user.isGM) {
+    await requestGM("continueRoll", { messageId: message.id, action });
+    return null;
+  }
+
+  if (_busy.has(message.id)) return null;
+  _busy.add(message.id);
+
+  try {
+    const rounds = foundry.utils.deepClone(data.rounds);
+    const policy = data.rerollPolicy ?? getRerollPolicy();
+    let pending = [];
+    let capped = false;
+
+    if (action === "reroll") {
+      // roll only the dice that showed R last time
+      const visibility = { whisper: message.whisper ?? [], blind: !!message.blind };
+      const { round, rerollConfigs } = await _rollOneRound(null, data.pending, visibility, policy);
+      rounds.push(round);
+      pending = _nextPending(rounds, rerollConfigs, policy);
+      capped = rerollConfigs.length > 0 && !pending.length;
+    }
+
+    const rollData = _rollState({
+      actorUuid: data.actorUuid,
+      rounds,
+      pending,
+      finished: action === "finish",
+      bonusSuccess: data.bonusSuccess,
+      bonusPenalty: data.bonusPenalty,
+      difficulty: data.difficulty ?? null,
+      hiddenDifficulty: data.hiddenDifficulty ?? false,
+      ladder: data.ladder ?? null,
+      rerollPolicy: policy,
+      capped,
+      rollMode: data.rollMode ?? "publicroll",
+      modifiers: data.modifiers ?? []
+    });
+
+    await _updateRoll(message, rollData);
+    return rollData;
+  } finally {
+    _busy.delete(message.id);
+  }
+}
+
+// Internal: the active GM continues a card for its controller
+async function _continueRollFor({ messageId, action }, userId) {
+  const message = game.messages.get(messageId);
+  const user = game.users.get(userId);
+  if (!message || !user || !canControlRoll(message, user)) return;
+  await continueRoll(message, action === "finish" ? "finish" : "reroll");
+}
+
+registerSocketHandler("continueRoll", _continueRollFor);
+
+// Bind the Reroll / Finish buttons of a rendered card
+export function activateRollCardListeners(message, html) {
+  html.find(".role-roll-card-buttons [data-action]").on("click", (ev) => {
+    ev.preventDefault();
+    const btn = ev.currentTarget;
+    $(btn).closest(".role-roll-card-buttons").find("button").prop("disabled", true);
+
+    const action = btn.dataset.action === "rr-finish" ? "finish" : "reroll";
+    continueRoll(message, action);
+  });
+}
+
+// ----------------------------------------
+// Public entry point
+// ----------------------------------------
+
+// Rolls the first round and posts it right away. If any R faces came up the
+// card stays "pending" with Reroll / Finish buttons, and the same message is
+// updated in place for every new round. With the "auto" reroll policy the
+// whole chain is rolled first, with "none" R faces are never rerolled.
+// difficulty: target number the final total has to reach (null = none).
+// hiddenDifficulty: only GMs see the difficulty and the verdict, players "?"
+//                   (see hidden-difficulty.mjs). Needs a connected GM to
+//                   keep the difficulty; without one nothing is rolled.
+// ladder: outcome ladder id, "none" for no tier (default: the world's default ladder)
+// modifiers: item modifiers already added to the pool, named on the card
+//            ([{ source, label }], see modifiers.mjs)
+// flags: extra flags stored next to the roll under flags.rolenroll_test
+//        ({ controllerId }: the user who continues the card, see canControlRoll)
+// rollMode: "publicroll" | "gmroll" | "blindroll" | "selfroll"
+//           (default: the core roll-mode selector)
+// Returns { message, rounds, scoring, outcome, tier, status } for the first post,
+// or null if nothing was rolled.
+export async function rollRolenrollPool({
+  actor = null,
+  dice = [],
+  bonusSuccess = 0,
+  bonusPenalty = 0,
+  difficulty = null,
+  hiddenDifficulty = false,
+  ladder,
+  rollMode = game.settings.get("core", "rollMode"),
+  modifiers = [],
+  flags = {}
+} = {}) {
+  if (!Array.isArray(dice) || dice.length === 0) {
+    dice = Array.from({ length: 5 }, () => ({ kind: "normal" }));
+  }
+
+  difficulty = parseDifficulty(difficulty);
+  hiddenDifficulty = difficulty !== null && !!hiddenDifficulty;
+
+  // only a GM can post the companion that keeps a hidden difficulty
+  if (hiddenDifficulty && !game.users.activeGM) {
+    ui.notifications.warn("Role&Roll: A GM has to be connected to roll against a hidden difficulty.");
+    return null;
+  }
+
+  const visibility = rollModeData(rollMode);
+  const policy = getRerollPolicy();
+
+  let rounds;
+  let pending;
+  let capped;
+  if (policy.mode === "prompt") {
+    const { round, rerollConfigs } = await _rollOneRound(actor, dice, visibility, policy);
+    rounds = [round];
+    pending = _nextPending(rounds, rerollConfigs, policy);
+    capped = rerollConfigs.length > 0 && !pending.length;
+  } else {
+    // "auto" follows the whole chain, "none" stops after the first round
+    ({ rounds, pending, capped } = await rollPoolChain(dice, { policy, visibility }));
+  }
+
+  const rollData = _rollState({
+    actor,
+    rounds,
+    pending,
+    bonusSuccess,
+    bonusPenalty,
+    difficulty,
+    hiddenDifficulty,
+    ladder: resolveLadder(ladder),
+    rerollPolicy: policy,
+    capped,
+    rollMode,
+    modifiers
+  });
+
+  const message = await _postRoll(actor, rollData, flags);
+  if (hiddenDifficulty) await storeHiddenDifficulty(message, difficulty);
+
+  return {
+    message,
+    rounds: rollData.rounds,
+    scoring: rollData.scoring,
+    outcome: rollData.outcome,
+    tier: rollData.tier,
+    status: rollData.status
+  };
+}
@@ -0,0 +1,88 @@
+// ===============================
+// Role&Roll – world & client settings
+// ===============================
+
+import { SYSTEM_ID } from "./config.mjs";
+import { registerLadderSettings } from "./ladders.mjs";
+import { registerSkillSettings } from "./skills.mjs";
+import { registerMigrationSettings } from "./migration.mjs";
+
+export function registerSettings() {
+  // How an opposed roll is decided when both final totals are equal
+  game.settings.register(SYSTEM_ID, "opposedTieBreak", {
+    name: "Opposed rolls: tie-break",
+    hint: "What happens when both sides of an opposed roll reach the same final total.",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      points: "More base points wins, then more R faces",
+      rolloff: "Reroll-off: both pools roll again until one is higher",
+      none: "Ties stand"
+    },
+    default: "points"
+  });
+
+  // Reroll policy for R faces (stored with every roll, shown on its card)
+  game.settings.register(SYSTEM_ID, "rerollMode", {
+    name: "Rerolls: mode",
+    hint: "What happens when dice show R.",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      prompt: "Prompt: the roller presses Reroll or Finish",
+      auto: "Automatic: reroll until no R is left",
+      none: "No rerolls: R only scores its point"
+    },
+    default: "prompt"
+  });
+
+  game.settings.register(SYSTEM_ID, "rerollKeepFaces", {
+    name: "Rerolls: keep +/− faces",
+    hint: "Rerolled advantage and negative dice keep their +/− faces. When off, every reroll is a normal die.",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  game.settings.register(SYSTEM_ID, "rerollMaxDepth", {
+    name: "Rerolls: maximum chain",
+    hint: "How many times in a row dice may be rerolled. R faces after the last allowed reroll still score their point.",
+    scope: "world",
+    config: true,
+    type: Number,
+    range: { min: 1, max: 20, step: 1 },
+    default: 10
+  });
+
+  // When a group check counts as a success for the whole group
+  game.settings.register(SYSTEM_ID, "groupCheckRule", {
+    name: "Group checks: group success",
+    hint: "How many members must reach the difficulty for a group check to succeed.",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      half: "At least half of the group",
+      majority: "More than half of the group",
+      all: "Everyone",
+      any: "Anyone"
+    },
+    default: "half"
+  });
+
+  // Outcome ladders: tiers per final total (see ladders.mjs)
+  registerLadderSettings();
+
+  // Renamed / added skills (see skills.mjs)
+  registerSkillSettings();
+
+  // Schema version of the world's data (see migration.mjs)
+  registerMigrationSettings();
+}
+
+export function getSetting(key) {
+  return game.settings.get(SYSTEM_ID, key);
+}
@@ -0,0 +1,237 @@
+// ===============================
+// Role&Roll skill registry – groups, skills and their base attributes
+// ===============================
+// CONFIG.ROLENROLL.skills holds every skill group:
+//   { academic: { label: "Academic", skills: { art: { label: "Art", baseAttr: "dexterity,intellect" } } } }
+// "dexterity,intellect" means: use the highest of the two.
+// It is built in the init hook from DEFAULT_SKILLS and the world setting
+// "skillRegistry" (renamed / added skills). Modules may add skills in their
+// own init hook; the actor data model, the sheet and chat commands read it.
+
+import { SYSTEM_ID, systemPath } from "./config.mjs";
+import { ATTRIBUTES, skillGroups, CUSTOM_SKILL_GROUP } from "./checks.mjs";
+
+export const DEFAULT_SKILLS = {
+  academic: {
+    label: "Academic",
+    skills: {
+      generalEd: { label: "General Education", baseAttr: "intellect" },
+      search: { label: "Search", baseAttr: "aptitude" },
+      history: { label: "History", baseAttr: "intellect" },
+      art: { label: "Art", baseAttr: "dexterity,intellect" },
+      medicine: { label: "Medicine", baseAttr: "intellect" },
+      herb: { label: "Herb", baseAttr: "intellect" },
+      firstAid: { label: "First Aid", baseAttr: "aptitude" },
+      law: { label: "Law", baseAttr: "intellect" },
+      electronic: { label: "Electronic", baseAttr: "intellect" },
+      mechanical: { label: "Mechanical", baseAttr: "intellect" },
+      craft: { label: "Craft", baseAttr: "dexterity" }
+    }
+  },
+  combat: {
+    label: "Combat",
+    skills: {
+      melee: { label: "Melee", baseAttr: "strength" },
+      martialArts: { label: "Martial Arts", baseAttr: "strength,dexterity" },
+      firearms: { label: "Firearms", baseAttr: "dexterity" },
+      throwing: { label: "Throwing", baseAttr: "dexterity" },
+      dodge: { label: "Dodge", baseAttr: "dexterity" },
+      tactics: { label: "Tactics", baseAttr: "intellect" }
+    }
+  },
+  physical: {
+    label: "Physical",
+    skills: {
+      athletics: { label: "Athletics", baseAttr: "strength" },
+      acrobatics: { label: "Acrobatics", baseAttr: "dexterity" },
+      endurance: { label: "Endurance", baseAttr: "toughness" },
+      stealth: { label: "Stealth", baseAttr: "dexterity" },
+      sleightOfHand: { label: "Sleight of Hand", baseAttr: "dexterity" },
+      driving: { label: "Driving", baseAttr: "dexterity,aptitude" }
+    }
+  },
+  social: {
+    label: "Social",
+    skills: {
+      persuasion: { label: "Persuasion", baseAttr: "rhetoric" },
+      deception: { label: "Deception", baseAttr: "rhetoric" },
+      intimidation: { label: "Intimidation", baseAttr: "ego" },
+      etiquette: { label: "Etiquette", baseAttr: "charm" },
+      performance: { label: "Performance", baseAttr: "charm" },
+      insight: { label: "Insight", baseAttr: "aptitude,sanity" }
+    }
+  },
+  survival: {
+    label: "Survival",
+    skills: {
+      tracking: { label: "Tracking", baseAttr: "aptitude" },
+      navigation: { label: "Navigation", baseAttr: "intellect,aptitude" },
+      foraging: { label: "Foraging", baseAttr: "aptitude" },
+      hunting: { label: "Hunting", baseAttr: "dexterity,aptitude" },
+      animalHandling: { label: "Animal Handling", baseAttr: "charm" },
+      camping: { label: "Camping", baseAttr: "toughness" }
+    }
+  }
+};
+
+// "dexterity,intellect" → "DEX/INT" (shown next to skill names)
+export function baseAttrAbbreviation(baseAttr) {
+  return String(baseAttr ?? "")
+    .split(",")
+    .map(k => k.trim())
+    .filter(Boolean)
+    .map(k => k.slice(0, 3).toUpperCase())
+    .join("/");
+}
+
+// Called from the init hook, after registerSettings() and before the data models
+export function registerSkills() {
+  CONFIG.ROLENROLL ??= {};
+  CONFIG.ROLENROLL.skills = foundry.utils.mergeObject(
+    foundry.utils.deepClone(DEFAULT_SKILLS),
+    game.settings.get(SYSTEM_ID, "skillRegistry") ?? {},
+    { inplace: false }
+  );
+}
+
+// ----------------------------------------
+// Settings menu
+// ----------------------------------------
+// Each group is edited as a label plus one skill per line:
+//   key | label | base attributes
+// The key may be left out for new skills ("| Lockpicking | dex").
+// Default skills can be renamed but not removed; their actors' data stays.
+
+const norm = (s) => String(s ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// "Sleight of Hand" → "sleightOfHand"
+function _keyFromLabel(label) {
+  const words = String(label ?? "").match(/[a-z0-9]+/gi) ?? [];
+  const key = words
+    .map((w, i) => i ? w[0].toUpperCase() + w.slice(1).toLowerCase() : w.toLowerCase())
+    .join("");
+  return /^[a-z]/.test(key) ? key : "";
+}
+
+// "dex / int" or "Dexterity, Intellect" → "dexterity,intellect" (null if any is unknown)
+function _baseAttrFromText(text) {
+  const keys = [];
+  for (const part of String(text ?? "").split(/[,/]/).map(s => s.trim()).filter(Boolean)) {
+    const wanted = norm(part);
+    const key = Object.keys(ATTRIBUTES).find(k =>
+      wanted === norm(k) || wanted === norm(ATTRIBUTES[k]) || wanted === norm(k).slice(0, 3)
+    );
+    if (!key) return null;
+    keys.push(key);
+  }
+  return keys.length ? keys.join(",") : null;
+}
+
+const skillsToText = (skills) => Object.entries(skills)
+  .map(([key, skill]) => `${key} | ${skill.label} | ${baseAttrAbbreviation(skill.baseAttr)}`)
+  .join("\n");
+
+function skillsFromText(text, groupLabel) {
+  const skills = {};
+  for (const line of String(text ?? "").split("\n")) {
+    if (!line.trim()) continue;
+    const [rawKey, label, attrs] = line.split("|").map(s => s.trim());
+    const key = rawKey || _keyFromLabel(label);
+    const baseAttr = _baseAttrFromText(attrs);
+    if (!/^[a-z][a-zA-Z0-9]*$/.test(key) || !label || !baseAttr) {
+      ui.notifications.warn(`Role&Roll: Skill line "${line.trim()}" in ${groupLabel} is not valid and was not saved.`);
+      continue;
+    }
+    skills[key] = { label, baseAttr };
+  }
+  return skills;
+}
+
+export class SkillRegistryConfig extends FormApplication {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "rolenroll-skill-registry",
+      title: "Role&Roll – Skills",
+      template: systemPath("templates/skill-registry.hbs"),
+      classes: ["rolenroll", "rr-skill-config"],
+      width: 560,
+      height: "auto",
+      closeOnSubmit: true
+    });
+  }
+
+  getData(options = {}) {
+    return {
+      groups: Object.entries(skillGroups()).map(([id, group]) => ({
+        id,
+        label: group.label,
+        skillsText: skillsToText(group.skills),
+        isDefault: !!DEFAULT_SKILLS[id]
+      }))
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find(".rr-skill-group-add").on("click", (ev) => {
+      ev.preventDefault();
+      const index = html.find(".rr-skill-group").length;
+      const block = $(`
+<fieldset class="rr-skill-group" data-group="new${index}">
+  <div class="form-group">
+    <label>Group:</label>
+    <input type="text" name="groups.new${index}.label" value="New group"/>
+  </div>
+  <textarea name="groups.new${index}.skills" rows="4" placeholder="key | label | base attributes"></textarea>
+</fieldset>`);
+      html.find(".rr-skill-group-list").append(block);
+      this.setPosition({ height: "auto" });
+    });
+  }
+
+  async _updateObject(event, formData) {
+    const data = foundry.utils.expandObject(formData);
+
+    const registry = {};
+    for (const [id, group] of Object.entries(data.groups ?? {})) {
+      const label = String(group.label ?? "").trim();
+      // new groups get their key from the label
+      const isNew = !DEFAULT_SKILLS[id] && !skillGroups()[id];
+      const groupId = isNew ? _keyFromLabel(label) : id;
+      if (!groupId || !label) continue;
+      if (isNew && (registry[groupId] || groupId === CUSTOM_SKILL_GROUP)) {
+        ui.notifications.warn(`Role&Roll: A skill group named "${label}" already exists.`);
+        continue;
+      }
+      registry[groupId] = { label, skills: skillsFromText(group.skills, label) };
+    }
+
+    // only what differs from the defaults is stored
+    const changes = foundry.utils.diffObject(DEFAULT_SKILLS, registry);
+    await game.settings.set(SYSTEM_ID, "skillRegistry", changes);
+
+    // the actor data model is built from the registry at startup
+    const SettingsConfigImpl = foundry.applications?.settings?.SettingsConfig ?? globalThis.SettingsConfig;
+    await SettingsConfigImpl?.reloadConfirm?.({ world: true });
+  }
+}
+
+// Called from registerSettings()
+export function registerSkillSettings() {
+  game.settings.register(SYSTEM_ID, "skillRegistry", {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {}
+  });
+
+  game.settings.registerMenu(SYSTEM_ID, "skillRegistryMenu", {
+    name: "Skills",
+    label: "Edit skills",
+    hint: "Rename skills, change their base attributes or add new skills and skill groups.",
+    icon: "fas fa-list",
+    type: SkillRegistryConfig,
+    restricted: true
+  });
+}
@@ -0,0 +1,53 @@
+// ===============================
+// Role&Roll socket – let the GM do what a player may not
+// ===============================
+// Players ask the active GM to run a registered action for them:
+//   registerSocketHandler("applyDamage", async (data, userId) => { … });
+//   requestGM("applyDamage", { messageId, multiplier });
+// Handlers must not trust the data: they get the requesting user's id and
+// check against the documents themselves what that user may do.
+// Needs "socket": true in system.json.
+
+import { SYSTEM_ID } from "./config.mjs";
+
+const SOCKET_NAME = `system.${SYSTEM_ID}`;
+
+const _handlers = {};
+
+export function registerSocketHandler(action, handler) {
+  _handlers[action] = handler;
+}
+
+// The GM who answers requests (only one, so nothing runs twice)
+export function isActiveGM(user = game.user) {
+  const activeGM = game.users.activeGM;
+  return user.isGM && (!activeGM || activeGM.id === user.id);
+}
+
+// Run an action as the GM: here if this user is the active GM, otherwise
+// sent over the socket. Returns false when no GM is connected.
+export async function requestGM(action, data = {}) {
+  if (isActiveGM()) {
+    await _handlers[action]?.(data, game.user.id);
+    return true;
+  }
+  if (!game.users.activeGM) {
+    ui.notifications.warn("Role&Roll: A GM has to be connected for this.");
+    return false;
+  }
+  game.socket.emit(SOCKET_NAME, { action, data });
+  return true;
+}
+
+// Called from the ready hook
+export function registerSocket() {
+  // the server adds the id of the user who sent the message
+  game.socket.on(SOCKET_NAME, async ({ action, data } = {}, userId) => {
+    if (!isActiveGM() || !game.users.get(userId)) return;
+    try {
+      await _handlers[action]?.(data, userId);
+    } catch (err) {
+      console.error(`Role&Roll | Socket action "${action}" failed`, err);
+    }
+  });
+}
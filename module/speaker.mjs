@@ -0,0 +1,42 @@
+// ===============================
+// Role&Roll speaker – which actor a roll is made for
+// ===============================
+// Every roll entry point (chat tray, /rr, macros) resolves its actor here:
+//   1. the actor of the controlled token
+//   2. the user's assigned character
+//   3. no actor (the roll is posted as the user)
+
+export function resolveRollActor() {
+  const speaker = ChatMessage.getSpeaker();
+  return ChatMessage.getSpeakerActor(speaker) ?? game.user.character ?? null;
+}
+
+// Actors the user can pick to roll for: controlled tokens first
+// (their synthetic actors, so unlinked NPCs work), then owned world actors.
+// Returns [{ uuid, name }]
+export function rollActorChoices(user = game.user) {
+  const choices = [];
+  const seen = new Set();
+  const add = (actor) => {
+    if (!actor || seen.has(actor.uuid) || !actor.testUserPermission(user, "OWNER")) return;
+    seen.add(actor.uuid);
+    choices.push({ uuid: actor.uuid, name: actor.name });
+  };
+
+  for (const token of canvas?.tokens?.controlled ?? []) add(token.actor);
+  add(user.character);
+
+  const owned = game.actors
+    .filter(actor => actor.testUserPermission(user, "OWNER"))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  for (const actor of owned) add(actor);
+
+  return choices;
+}
+
+// Picker value → actor. "" = resolve now, "none" = no actor, else an actor uuid
+export function actorFromChoice(value) {
+  if (!value) return resolveRollActor();
+  if (value === "none") return null;
+  return fromUuidSync(value) ?? null;
+}